@@ -0,0 +1,190 @@
+/**
+ * Decryption backends for diaes.js.
+ *
+ * Fragments are decrypted natively through the WebCrypto API when
+ * `crypto.subtle` is available, and by the pure JavaScript AES
+ * implementation of `crypto.js` otherwise. Both backends share the
+ * same interface:
+ *
+ *   backend.decrypt(cipher, input, key, iv, tag, callback);
+ *
+ * where `input`, `key`, `iv` and `tag` are ArrayBuffers, and the
+ * callback receives the decrypted ArrayBuffer, or null if the
+ * fragment failed verification.
+ *
+ * The module-level `decrypt` hands the fragments over to the pure
+ * JavaScript backend when the native one cannot decrypt them at all,
+ * e.g. because the browser lacks the algorithm, but not when they
+ * fail verification. Both backends are checked on their own against
+ * the test vectors of `vectors.js`.
+ */
+
+
+'use strict';
+
+var Crypto = require('./crypto.js');
+
+var CIPHER_CBC = 'aes-cbc';
+var CIPHER_CTR = 'aes-ctr';
+var CIPHER_GCM = 'aes-gcm';
+var CIPHER_NONE = 'none'; // Fragments served in the clear
+
+/**
+ * Returns the WebCrypto SubtleCrypto interface, if any, from the
+ * browser or Node.js.
+ */
+function getSubtle() {
+	var scope = typeof self !== 'undefined' ? self : typeof global !== 'undefined' ? global : {};
+
+	return scope.crypto && scope.crypto.subtle ? scope.crypto.subtle : null;
+}
+
+/**
+ * Converts an ArrayBuffer, typed array or Buffer into a hex string.
+ */
+function toHex(buffer) {
+	var bytes = new Uint8Array(buffer);
+	var hex = '';
+
+	for (var i = 0; i < bytes.length; i++) {
+		hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+	}
+
+	return hex;
+}
+
+/**
+ * Converts a hex string, e.g. a key or IV of the manifest, into
+ * an ArrayBuffer.
+ */
+function fromHex(hex) {
+	hex = hex.trim();
+
+	var bytes = new Uint8Array(hex.length / 2);
+
+	for (var i = 0; i < bytes.length; i++) {
+		bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+	}
+
+	return bytes.buffer;
+}
+
+/**
+ * The pure JavaScript backend, built on `crypto.js`.
+ * https://github.com/wader/aes-arraybuffer
+ */
+var ScriptBackend = {
+	name: 'script',
+
+	isAvailable: function () {
+		return true;
+	},
+
+	decrypt: function (cipher, input, key, iv, tag, callback) {
+		switch (cipher) {
+			case CIPHER_CTR:
+				return callback(Crypto.decrypt_aes_ctr(input, key, iv));
+			case CIPHER_GCM:
+				return callback(Crypto.decrypt_aes_gcm(input, key, iv, tag));
+			case CIPHER_CBC:
+				return callback(Crypto.pkcs_unpad(Crypto.decrypt_aes_cbc(input, key, iv)));
+			default:
+				throw new Error('Unsupported cipher: ' + cipher);
+		}
+	}
+};
+
+/**
+ * The native WebCrypto backend. Any failure of the native
+ * implementation, including invalid padding or a failed tag
+ * verification, passes null to the callback, along with `true` if
+ * the key could not be imported or the algorithm is not supported.
+ */
+var SubtleBackend = {
+	name: 'subtle',
+
+	isAvailable: function () {
+		return getSubtle() !== null;
+	},
+
+	decrypt: function (cipher, input, key, iv, tag, callback) {
+		var subtle = getSubtle();
+		var data = input;
+		var algorithm;
+
+		switch (cipher) {
+			case CIPHER_CTR:
+				algorithm = {name: 'AES-CTR', counter: iv, length: 128};
+				break;
+			case CIPHER_GCM:
+				algorithm = {name: 'AES-GCM', iv: iv, tagLength: 128};
+
+				// WebCrypto expects the tag appended to the ciphertext.
+				var joined = new Uint8Array(input.byteLength + tag.byteLength);
+				joined.set(new Uint8Array(input), 0);
+				joined.set(new Uint8Array(tag), input.byteLength);
+				data = joined.buffer;
+				break;
+			case CIPHER_CBC:
+				algorithm = {name: 'AES-CBC', iv: iv};
+				break;
+			default:
+				throw new Error('Unsupported cipher: ' + cipher);
+		}
+
+		subtle.importKey('raw', key, {name: algorithm.name}, false, ['decrypt']).then(function (cryptoKey) {
+			subtle.decrypt(algorithm, cryptoKey, data).then(function (output) {
+				callback(output);
+			}, function (error) {
+				callback(null, error.name === 'NotSupportedError');
+			});
+		}, function () {
+			callback(null, true);
+		});
+	}
+};
+
+/**
+ * Returns the preferred available backend.
+ */
+function getBackend() {
+	return SubtleBackend.isAvailable() ? SubtleBackend : ScriptBackend;
+}
+
+/**
+ * Decrypts the input using the preferred available backend. What
+ * the native backend cannot decrypt at all is handed over to the
+ * pure JavaScript backend, while fragments which fail verification
+ * are reported right away.
+ */
+function decrypt(cipher, input, key, iv, tag, callback) {
+	var backend = getBackend();
+
+	if (backend === ScriptBackend) {
+		return ScriptBackend.decrypt(cipher, input, key, iv, tag, callback);
+	}
+
+	backend.decrypt(cipher, input, key, iv, tag, function (output, unsupported) {
+		if (unsupported) {
+			return ScriptBackend.decrypt(cipher, input, key, iv, tag, callback);
+		}
+
+		callback(output);
+	});
+}
+
+module.exports = {
+	CIPHER_CBC: CIPHER_CBC,
+	CIPHER_CTR: CIPHER_CTR,
+	CIPHER_GCM: CIPHER_GCM,
+	CIPHER_NONE: CIPHER_NONE,
+
+	ScriptBackend: ScriptBackend,
+	SubtleBackend: SubtleBackend,
+	getBackend: getBackend,
+	decrypt: decrypt,
+
+	getSubtle: getSubtle,
+	toHex: toHex,
+	fromHex: fromHex
+};
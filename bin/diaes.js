@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+
+/**
+ * Command line interface for diaes.js.
+ *
+ * Usage:
+ *   diaes pack -o <dir> -d <seconds> [-D <durations>] [-b <url>] [-c <cipher>] [-k --keys <file>] [--title <title>] <fragment files...>
+ *   diaes serve-keys [-p <port>] [-t <token>] [--ttl <seconds>] [-m <manifest>] <keys.json>
+ *   diaes check-backends
+ */
+
+
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var pack = require('../pack.js').pack;
+var createLicenseServer = require('../license-server.js').createServer;
+var Backend = require('../backend.js');
+var Vectors = require('../vectors.js');
+
+var USAGE = [
+	'Usage: diaes pack [options] <fragment files...>',
+	'       diaes serve-keys [options] <keys.json>',
+	'       diaes check-backends',
+	'',
+	'Encrypts per-fragment Opus (.opus), Vorbis (.ogg), AAC (.m4a), FLAC',
+	'(.flac) or MP3 (.mp3) files and writes them along with a manifest.json',
+	'to the output directory. The versions of a fragment in different',
+	'formats must share the same name.',
+	'',
+	'Options:',
+	'  -o, --output <dir>       Output directory (required)',
+	'  -d, --duration <seconds> Total duration of the track (required',
+	'                           unless fragment durations are given)',
+	'  -D, --fragment-durations <seconds,...>',
+	'                           Comma-separated duration of each fragment,',
+	'                           which must add up to the total duration',
+	'  -b, --base-url <url>     Prefix of the fragment paths in the manifest',
+	'  -c, --cipher <cipher>    aes-cbc (default), aes-ctr or aes-gcm',
+	'  -k, --key-ids            List key IDs in the manifest instead of keys',
+	'  --keys <file>            Where to write the keys for the license server',
+	'                           (required with --key-ids). It must lie outside',
+	'                           of the output directory, which is served',
+	'                           publicly',
+	'  --title <title>          Title of the track, shown as now playing',
+	'  --artist <artist>        Artist of the track',
+	'  --album <album>          Album of the track',
+	'  --artwork <url>          URL of the cover art of the track',
+	'  -h, --help               Show this message',
+	'',
+	'serve-keys runs a stand-in license server for local testing, serving',
+	'the keys file written by pack --key-ids.',
+	'',
+	'Options:',
+	'  -p, --port <port>        Port to listen on (default 8042)',
+	'  -t, --token <token>      Bearer token expected from clients',
+	'  --ttl <seconds>          Lifetime of the delivered keys',
+	'  --deny <kid>             Always deny the license for a key ID',
+	'  -m, --manifest <file>    Also serve a manifest on GET requests, with',
+	'                           its keys wrapped for the requesting session',
+	'',
+	'check-backends decrypts the AES-CBC, AES-CTR and AES-GCM test vectors',
+	'with each available decryption backend on its own, checks that they',
+	'reject tampered AES-GCM fragments, checks the AES key wrap of the',
+	'session keys and the files written by pack, and fails if any of them',
+	'gets one wrong.'
+].join('\n');
+
+/**
+ * Prints an error and the usage, then exits.
+ */
+function fail(message) {
+	console.error('diaes: ' + message + '\n');
+	console.error(USAGE);
+	process.exit(1);
+}
+
+/**
+ * Parses the arguments of the `pack` command.
+ */
+function parsePackArguments(args) {
+	var options = {files: [], info: {}};
+
+	for (var i = 0; i < args.length; i++) {
+		switch (args[i]) {
+			case '-o':
+			case '--output':
+				options.output = args[++i];
+				break;
+			case '-d':
+			case '--duration':
+				options.duration = parseFloat(args[++i]);
+				break;
+			case '-D':
+			case '--fragment-durations':
+				if (++i >= args.length) {
+					fail('missing fragment durations');
+				}
+
+				options.fragmentDurations = args[i].split(',').map(parseFloat);
+				break;
+			case '-b':
+			case '--base-url':
+				options.baseUrl = args[++i];
+				break;
+			case '-c':
+			case '--cipher':
+				options.cipher = args[++i];
+				break;
+			case '-k':
+			case '--key-ids':
+				options.keyIds = true;
+				break;
+			case '--keys':
+				options.keys = args[++i];
+				break;
+			case '--title':
+			case '--artist':
+			case '--album':
+			case '--artwork':
+				options.info[args[i].slice(2)] = args[++i];
+				break;
+			case '-h':
+			case '--help':
+				console.log(USAGE);
+				process.exit(0);
+				break;
+			default:
+				if (args[i].charAt(0) === '-') {
+					fail('unknown option ' + args[i]);
+				}
+
+				options.files.push(args[i]);
+		}
+	}
+
+	if (!options.output) {
+		fail('missing output directory');
+	}
+
+	if (options.keyIds && !options.keys) {
+		fail('missing keys file, required with --key-ids');
+	}
+
+	if (options.fragmentDurations && !options.fragmentDurations.every(function (duration) { return duration > 0; })) {
+		fail('invalid fragment durations');
+	}
+
+	if (!(options.duration > 0) && !options.fragmentDurations) {
+		fail('missing or invalid duration');
+	}
+
+	return options;
+}
+
+/**
+ * Packs two fragments in two formats with each cipher, then decrypts
+ * the packed files with the pure JavaScript backend, and passes the
+ * results to the callback, as a list of `{name, passed}`. The files
+ * of a fragment must decrypt to their input, under distinct IVs.
+ */
+function checkPack(callback) {
+	var ciphers = ['aes-cbc', 'aes-ctr', 'aes-gcm'];
+	var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'diaes-'));
+	var inputs = {};
+	var results = [];
+
+	['0.mp3', '0.ogg', '1.mp3', '1.ogg'].forEach(function (name, index) {
+		var data = Buffer.alloc(100 + index * 7);
+
+		for (var i = 0; i < data.length; i++) {
+			data[i] = (i * 31 + index) & 0xff;
+		}
+
+		inputs[name] = path.join(directory, name);
+		fs.writeFileSync(inputs[name], data);
+	});
+
+	function verify(manifest, output) {
+		return manifest.fragments.length === 2 && manifest.fragments.every(function (fragment, number) {
+			var types = Object.keys(fragment.types);
+			var ivs = types.map(function (type) {
+				return fragment.types[type].iv;
+			});
+
+			return types.length === 2 && ivs[0] !== ivs[1] && types.every(function (type) {
+				var version = fragment.types[type];
+				var input = fs.readFileSync(inputs[number + (type === 'audio/mpeg' ? '.mp3' : '.ogg')]);
+				var decrypted = null;
+
+				Backend.ScriptBackend.decrypt(fragment.cipher || 'aes-cbc', new Uint8Array(fs.readFileSync(path.join(output, version.path))).buffer,
+				                              Backend.fromHex(fragment.key), Backend.fromHex(version.iv), Backend.fromHex(version.tag || ''), function (data) {
+					decrypted = data;
+				});
+
+				return decrypted !== null && Buffer.from(decrypted).equals(input);
+			});
+		});
+	}
+
+	function next(index) {
+		if (index >= ciphers.length) {
+			fs.rmSync(directory, {recursive: true, force: true});
+			return callback(results);
+		}
+
+		var output = path.join(directory, ciphers[index]);
+		var files = Object.keys(inputs).map(function (name) {
+			return inputs[name];
+		});
+
+		pack(files, {output: output, duration: 20, cipher: ciphers[index]}, function (error, manifest) {
+			results.push({name: 'pack ' + ciphers[index], passed: !error && verify(manifest, output)});
+			next(index + 1);
+		});
+	}
+
+	next(0);
+}
+
+/**
+ * Checks each available decryption backend against the test
+ * vectors, the key wrap of `crypto.js` against its own, and the
+ * files written by `pack`, then exits with an error if any of
+ * them failed.
+ */
+function checkBackends() {
+	var backends = [Backend.ScriptBackend, Backend.SubtleBackend].filter(function (backend) {
+		return backend.isAvailable();
+	});
+	var failed = false;
+
+	// Prints the results, their names prefixed with the given one.
+	function report(prefix) {
+		return function (result) {
+			failed = failed || !result.passed;
+			console.log((result.passed ? 'ok    ' : 'FAIL  ') + prefix + result.name);
+		};
+	}
+
+	Vectors.checkKeyWrap().forEach(report(Backend.ScriptBackend.name + ' '));
+
+	function next(index) {
+		if (index >= backends.length) {
+			return checkPack(function (results) {
+				results.forEach(report(''));
+				process.exit(failed ? 1 : 0);
+			});
+		}
+
+		Vectors.check(backends[index], function (results) {
+			results.forEach(report(backends[index].name + ' '));
+			next(index + 1);
+		});
+	}
+
+	next(0);
+}
+
+/**
+ * Parses the arguments of the `serve-keys` command.
+ */
+function parseServeArguments(args) {
+	var options = {port: 8042, deny: []};
+
+	for (var i = 0; i < args.length; i++) {
+		switch (args[i]) {
+			case '-p':
+			case '--port':
+				options.port = parseInt(args[++i], 10);
+				break;
+			case '-t':
+			case '--token':
+				options.token = args[++i];
+				break;
+			case '--ttl':
+				options.ttl = parseFloat(args[++i]);
+				break;
+			case '--deny':
+				options.deny.push(args[++i]);
+				break;
+			case '-m':
+			case '--manifest':
+				options.manifest = JSON.parse(fs.readFileSync(args[++i], 'utf8'));
+				break;
+			default:
+				if (args[i].charAt(0) === '-' || options.keys) {
+					fail('unexpected argument ' + args[i]);
+				}
+
+				options.keys = args[i];
+		}
+	}
+
+	if (!options.keys) {
+		fail('missing keys file');
+	}
+
+	return options;
+}
+
+var args = process.argv.slice(2);
+
+switch (args[0]) {
+	case 'pack':
+		var options = parsePackArguments(args.slice(1));
+
+		pack(options.files, options, function (error, manifest) {
+			if (error) {
+				console.error('diaes: ' + error.message);
+				process.exit(1);
+			}
+
+			console.log('Packed ' + manifest.fragments.length + ' fragments into ' + options.output);
+		});
+		break;
+	case 'serve-keys':
+		var serveOptions = parseServeArguments(args.slice(1));
+		var keys = JSON.parse(fs.readFileSync(serveOptions.keys, 'utf8'));
+
+		createLicenseServer(keys, serveOptions).listen(serveOptions.port, function () {
+			console.log('Serving ' + Object.keys(keys).length + ' keys on port ' + serveOptions.port);
+		});
+		break;
+	case 'check-backends':
+		checkBackends();
+		break;
+	case '-h':
+	case '--help':
+		console.log(USAGE);
+		break;
+	default:
+		fail(args[0] ? 'unknown command ' + args[0] : 'missing command');
+}
@@ -0,0 +1,168 @@
+/**
+ * A cache of the decoded fragments of diaes.js.
+ *
+ * Decoded fragments take a lot of memory (about 10 MB per minute
+ * of stereo audio), so the cache only keeps them within a byte
+ * budget shared by every player of a Manager. Once over budget,
+ * the least recently used fragments are evicted, except for those
+ * which their reader still needs, e.g. around the playhead. The
+ * readers fetch the evicted fragments again when needed.
+ *
+ * The fragments of the players which stream through a media element
+ * are kept encoded, and count for their encoded size.
+ *
+ * The time-stretched copies of the fragments which play at another
+ * rate count as well, but are held by the sources which play them,
+ * so they are never evicted, and leave the cache along with their
+ * source instead.
+ */
+
+
+'use strict';
+
+var BYTES_PER_SAMPLE = 4; // AudioBuffers hold 32 bit floats
+
+/**
+ * Creates a cache of `budget` bytes.
+ */
+var FragmentCache = function (budget) {
+	this.budget = budget;
+	this.bytes = 0;
+	this.entries = []; // From the least to the most recently used
+
+	this.hits = 0;
+	this.misses = 0;
+	this.evictions = 0;
+};
+
+/**
+ * Returns the memory used by an AudioBuffer, or by the ArrayBuffer
+ * of a fragment which is kept encoded, in bytes.
+ */
+FragmentCache.sizeOf = function (buffer) {
+	if (buffer.byteLength !== undefined) {
+		return buffer.byteLength;
+	}
+
+	return buffer.length * buffer.numberOfChannels * BYTES_PER_SAMPLE;
+};
+
+/**
+ * Returns the index of the entry of a given fragment, or of its
+ * stretched copy if `stretched` is set, or -1.
+ */
+FragmentCache.prototype.indexOf = function (reader, number, stretched) {
+	for (var i = 0; i < this.entries.length; i++) {
+		var entry = this.entries[i];
+
+		if (entry.reader === reader && entry.number === number && entry.stretched === !!stretched) {
+			return i;
+		}
+	}
+
+	return -1;
+};
+
+/**
+ * Checks whether a given fragment is cached, and marks it as
+ * the most recently used if so.
+ */
+FragmentCache.prototype.use = function (reader, number) {
+	var index = this.indexOf(reader, number);
+
+	if (index === -1) {
+		this.misses++;
+		return false;
+	}
+
+	this.hits++;
+	this.entries.push(this.entries.splice(index, 1)[0]);
+
+	return true;
+};
+
+/**
+ * Adds a decoded fragment to the cache, or its stretched copy if
+ * `stretched` is set, evicting older fragments to make room for it
+ * if needed.
+ */
+FragmentCache.prototype.add = function (reader, number, buffer, stretched) {
+	this.discard(reader, number, stretched);
+
+	var bytes = FragmentCache.sizeOf(buffer);
+
+	this.evict(bytes);
+	this.entries.push({reader: reader, number: number, bytes: bytes, stretched: !!stretched});
+	this.bytes += bytes;
+};
+
+/**
+ * Removes a given fragment, or its stretched copy if `stretched`
+ * is set, from the cache without evicting it from its reader, e.g.
+ * once the source which held the stretched copy is destroyed.
+ */
+FragmentCache.prototype.discard = function (reader, number, stretched) {
+	var index = this.indexOf(reader, number, stretched);
+
+	if (index !== -1) {
+		this.bytes -= this.entries.splice(index, 1)[0].bytes;
+	}
+};
+
+/**
+ * Evicts the least recently used fragments which are no longer
+ * needed, until `bytes` more bytes fit into the budget.
+ */
+FragmentCache.prototype.evict = function (bytes) {
+	for (var i = 0; i < this.entries.length && this.bytes + bytes > this.budget; ) {
+		var entry = this.entries[i];
+
+		if (entry.stretched || entry.reader.isFragmentNeeded(entry.number)) {
+			i++;
+			continue;
+		}
+
+		this.entries.splice(i, 1);
+		this.bytes -= entry.bytes;
+		this.evictions++;
+
+		entry.reader.evictFragment(entry.number);
+	}
+};
+
+/**
+ * Removes every fragment of a given reader, e.g. once destroyed.
+ */
+FragmentCache.prototype.remove = function (reader) {
+	var that = this;
+
+	this.entries = this.entries.filter(function (entry) {
+		if (entry.reader !== reader) {
+			return true;
+		}
+
+		that.bytes -= entry.bytes;
+		return false;
+	});
+};
+
+/**
+ * Returns the statistics of the cache.
+ */
+FragmentCache.prototype.stats = function () {
+	var stretched = this.entries.filter(function (entry) {
+		return entry.stretched;
+	}).length;
+
+	return {
+		budget: this.budget,
+		bytes: this.bytes,
+		fragments: this.entries.length - stretched,
+		stretched: stretched,
+		hits: this.hits,
+		misses: this.misses,
+		evictions: this.evictions
+	};
+};
+
+module.exports = FragmentCache;
@@ -98,6 +98,331 @@ function decrypt_aes_cbc(input, key, iv) {
   return output_u32.buffer;
 }
 
+// adds block_offset to the 128 bit big endian counter block in place
+function ctr_add(counter_u8, block_offset) {
+  var carry = block_offset;
+
+  for (var i = counter_u8.length - 1; i >= 0 && carry > 0; i--) {
+    var sum = counter_u8[i] + (carry % 256);
+    counter_u8[i] = sum & 0xff;
+    carry = Math.floor(carry / 256) + (sum >>> 8);
+  }
+}
+
+// input is ArrayBuffer of any length
+// key is 16, 24 or 32 byte ArrayBuffer
+// counter is 16 byte ArrayBuffer, the counter block of the first block
+// block_offset is the index of the block input starts at (default 0),
+// which allows decrypting any 16 byte aligned range of a stream on its own
+function encrypt_aes_ctr(input, key, counter, block_offset) {
+  var input_u8 = new Uint8Array(input);
+  var output_u8 = new Uint8Array(input_u8.length);
+  var counter_u8 = new Uint8Array(AES.block_size_bytes);
+  var counter_u32 = new Uint32Array(counter_u8.buffer);
+  var state_block_u32 = new Uint32Array(AES.block_size_words);
+  var state_block_u8 = new Uint8Array(state_block_u32.buffer);
+  var w = AES.key_expansion(key);
+
+  counter_u8.set(new Uint8Array(counter));
+  ctr_add(counter_u8, block_offset || 0);
+
+  for (var i = 0; i < input_u8.length; i += AES.block_size_bytes) {
+    state_block_u32.set(counter_u32);
+    AES.cipher(state_block_u32, w);
+
+    var end = Math.min(AES.block_size_bytes, input_u8.length - i);
+    for (var j = 0; j < end; j++) {
+      output_u8[i+j] = input_u8[i+j] ^ state_block_u8[j];
+    }
+
+    ctr_add(counter_u8, 1);
+  }
+
+  return output_u8.buffer;
+}
+
+// ctr mode is symmetric, see encrypt_aes_ctr
+function decrypt_aes_ctr(input, key, counter, block_offset) {
+  return encrypt_aes_ctr(input, key, counter, block_offset);
+}
+
+// GCM spec from http://csrc.nist.gov/publications/nistpubs/800-38D/SP-800-38D.pdf
+
+var gcm_tag_byte_count = 16;
+
+// reads a 16 byte block of u8 at offset as 4 big endian words,
+// zero padding past the end of u8
+function gcm_read_block(u8, offset, block) {
+  for (var i = 0; i < 4; i++) {
+    var word = 0;
+    for (var j = 0; j < 4; j++) {
+      var k = offset + i*4 + j;
+      word = (word << 8) | (k < u8.length ? u8[k] : 0);
+    }
+    block[i] = word >>> 0;
+  }
+}
+
+// x = x * y in GF(2^128), both are 4 big endian words
+function gcm_mult(x, y) {
+  var z0 = 0, z1 = 0, z2 = 0, z3 = 0;
+  var v0 = y[0], v1 = y[1], v2 = y[2], v3 = y[3];
+
+  for (var i = 0; i < 128; i++) {
+    if ((x[i >>> 5] >>> (31 - (i & 31))) & 1) {
+      z0 ^= v0;
+      z1 ^= v1;
+      z2 ^= v2;
+      z3 ^= v3;
+    }
+
+    var lsb = v3 & 1;
+    v3 = (v3 >>> 1) | (v2 << 31);
+    v2 = (v2 >>> 1) | (v1 << 31);
+    v1 = (v1 >>> 1) | (v0 << 31);
+    v0 = v0 >>> 1;
+    if (lsb) {
+      v0 ^= 0xe1000000;
+    }
+  }
+
+  x[0] = z0 >>> 0;
+  x[1] = z1 >>> 0;
+  x[2] = z2 >>> 0;
+  x[3] = z3 >>> 0;
+}
+
+// absorbs u8 zero padded to a multiple of 16 bytes into the ghash state y
+function gcm_ghash_update(y, h, u8) {
+  var block = new Uint32Array(4);
+
+  for (var i = 0; i < u8.length; i += 16) {
+    gcm_read_block(u8, i, block);
+    y[0] ^= block[0];
+    y[1] ^= block[1];
+    y[2] ^= block[2];
+    y[3] ^= block[3];
+    gcm_mult(y, h);
+  }
+}
+
+// absorbs the bit lengths of the aad and ciphertext into the ghash state y
+function gcm_ghash_lengths(y, h, aad_byte_count, byte_count) {
+  y[0] ^= Math.floor(aad_byte_count / 0x20000000);
+  y[1] ^= (aad_byte_count * 8) >>> 0;
+  y[2] ^= Math.floor(byte_count / 0x20000000);
+  y[3] ^= (byte_count * 8) >>> 0;
+  gcm_mult(y, h);
+}
+
+// encrypts a single 16 byte block of u8 in place
+function gcm_cipher_block(block_u8, w) {
+  var state_block_u32 = new Uint32Array(AES.block_size_words);
+  new Uint8Array(state_block_u32.buffer).set(block_u8);
+  AES.cipher(state_block_u32, w);
+  block_u8.set(new Uint8Array(state_block_u32.buffer));
+}
+
+// returns the hash subkey and pre-counter block for a key schedule and iv
+function gcm_setup(w, iv) {
+  var iv_u8 = new Uint8Array(iv);
+  var h_u8 = new Uint8Array(AES.block_size_bytes);
+  var h = new Uint32Array(4);
+  var j0_u8 = new Uint8Array(AES.block_size_bytes);
+
+  gcm_cipher_block(h_u8, w);
+  gcm_read_block(h_u8, 0, h);
+
+  if (iv_u8.length == 12) {
+    j0_u8.set(iv_u8);
+    j0_u8[15] = 1;
+  } else {
+    var y = new Uint32Array(4);
+    gcm_ghash_update(y, h, iv_u8);
+    gcm_ghash_lengths(y, h, 0, iv_u8.length);
+    for (var i = 0; i < 16; i++) {
+      j0_u8[i] = y[i >>> 2] >>> (24 - (i & 3) * 8);
+    }
+  }
+
+  return {h: h, j0_u8: j0_u8};
+}
+
+// increments the last 32 bits of a counter block in place
+function gcm_inc32(counter_u8) {
+  for (var i = 15; i >= 12; i--) {
+    counter_u8[i] = (counter_u8[i] + 1) & 0xff;
+    if (counter_u8[i] !== 0) {
+      break;
+    }
+  }
+}
+
+// ctr mode as used by gcm, starting at the counter block following j0
+function gcm_ctr(input_u8, w, j0_u8) {
+  var output_u8 = new Uint8Array(input_u8.length);
+  var counter_u8 = new Uint8Array(j0_u8);
+  var counter_u32 = new Uint32Array(counter_u8.buffer);
+  var state_block_u32 = new Uint32Array(AES.block_size_words);
+  var state_block_u8 = new Uint8Array(state_block_u32.buffer);
+
+  for (var i = 0; i < input_u8.length; i += AES.block_size_bytes) {
+    gcm_inc32(counter_u8);
+    state_block_u32.set(counter_u32);
+    AES.cipher(state_block_u32, w);
+
+    var end = Math.min(AES.block_size_bytes, input_u8.length - i);
+    for (var j = 0; j < end; j++) {
+      output_u8[i+j] = input_u8[i+j] ^ state_block_u8[j];
+    }
+  }
+
+  return output_u8;
+}
+
+// returns the 16 byte authentication tag as Uint8Array
+function gcm_tag(w, setup, aad_u8, cipher_u8) {
+  var y = new Uint32Array(4);
+  var tag_u8 = new Uint8Array(setup.j0_u8);
+
+  gcm_ghash_update(y, setup.h, aad_u8);
+  gcm_ghash_update(y, setup.h, cipher_u8);
+  gcm_ghash_lengths(y, setup.h, aad_u8.length, cipher_u8.length);
+  gcm_cipher_block(tag_u8, w);
+
+  for (var i = 0; i < 16; i++) {
+    tag_u8[i] ^= (y[i >>> 2] >>> (24 - (i & 3) * 8)) & 0xff;
+  }
+
+  return tag_u8;
+}
+
+// input is ArrayBuffer of any length
+// key is 16, 24 or 32 byte ArrayBuffer
+// iv is ArrayBuffer, preferably 12 bytes
+// aad is optional ArrayBuffer of additional authenticated data
+// returns {buffer: ArrayBuffer, tag: 16 byte ArrayBuffer}
+function encrypt_aes_gcm(input, key, iv, aad) {
+  var w = AES.key_expansion(key);
+  var setup = gcm_setup(w, iv);
+  var output_u8 = gcm_ctr(new Uint8Array(input), w, setup.j0_u8);
+  var tag_u8 = gcm_tag(w, setup, new Uint8Array(aad || 0), output_u8);
+
+  return {buffer: output_u8.buffer, tag: tag_u8.buffer};
+}
+
+// input is ArrayBuffer of any length
+// key is 16, 24 or 32 byte ArrayBuffer
+// iv is ArrayBuffer, the one used for encryption
+// tag is 16 byte ArrayBuffer
+// aad is optional ArrayBuffer of additional authenticated data
+// returns a new buffer, or null if the input fails verification
+function decrypt_aes_gcm(input, key, iv, tag, aad) {
+  var input_u8 = new Uint8Array(input);
+  var expected_u8 = new Uint8Array(tag);
+  var w = AES.key_expansion(key);
+  var setup = gcm_setup(w, iv);
+  var tag_u8 = gcm_tag(w, setup, new Uint8Array(aad || 0), input_u8);
+
+  if (expected_u8.length != gcm_tag_byte_count) {
+    return null;
+  }
+
+  // compare in constant time
+  var diff = 0;
+  for (var i = 0; i < gcm_tag_byte_count; i++) {
+    diff |= tag_u8[i] ^ expected_u8[i];
+  }
+  if (diff !== 0) {
+    return null;
+  }
+
+  return gcm_ctr(input_u8, w, setup.j0_u8).buffer;
+}
+
+// key wrap spec from http://tools.ietf.org/html/rfc3394
+
+var kw_default_iv = [0xa6, 0xa6, 0xa6, 0xa6, 0xa6, 0xa6, 0xa6, 0xa6];
+
+// xors the 64 bit big endian step counter t into a
+function kw_xor_t(a_u8, t) {
+  for (var i = 7; i >= 0 && t > 0; i--) {
+    a_u8[i] ^= t & 0xff;
+    t = Math.floor(t / 256);
+  }
+}
+
+// input is ArrayBuffer with 8 byte aligned length of at least 16 bytes
+// kek is 16, 24 or 32 byte ArrayBuffer
+// returns a new buffer 8 bytes longer than input
+function wrap_aes_kw(input, kek) {
+  var input_u8 = new Uint8Array(input);
+  var n = input_u8.length / 8;
+  var output_u8 = new Uint8Array(input_u8.length + 8);
+  var state_block_u32 = new Uint32Array(AES.block_size_words);
+  var state_block_u8 = new Uint8Array(state_block_u32.buffer);
+  var w = AES.key_expansion(kek);
+
+  output_u8.set(kw_default_iv, 0);
+  output_u8.set(input_u8, 8);
+
+  for (var j = 0; j <= 5; j++) {
+    for (var i = 1; i <= n; i++) {
+      state_block_u8.set(output_u8.subarray(0, 8), 0);
+      state_block_u8.set(output_u8.subarray(i*8, i*8+8), 8);
+      AES.cipher(state_block_u32, w);
+
+      output_u8.set(state_block_u8.subarray(0, 8), 0);
+      kw_xor_t(output_u8, n*j + i);
+      output_u8.set(state_block_u8.subarray(8, 16), i*8);
+    }
+  }
+
+  return output_u8.buffer;
+}
+
+// input is ArrayBuffer as returned by wrap_aes_kw
+// kek is 16, 24 or 32 byte ArrayBuffer
+// returns a new buffer 8 bytes shorter than input,
+// or null if the input fails the integrity check
+function unwrap_aes_kw(input, kek) {
+  var input_u8 = new Uint8Array(input);
+  var n = input_u8.length / 8 - 1;
+  var a_u8 = new Uint8Array(8);
+  var r_u8 = new Uint8Array(input_u8.subarray(8));
+  var state_block_u32 = new Uint32Array(AES.block_size_words);
+  var state_block_u8 = new Uint8Array(state_block_u32.buffer);
+  var w = AES.key_expansion(kek);
+
+  if (n < 2 || input_u8.length % 8 != 0) {
+    return null;
+  }
+
+  a_u8.set(input_u8.subarray(0, 8));
+
+  for (var j = 5; j >= 0; j--) {
+    for (var i = n; i >= 1; i--) {
+      kw_xor_t(a_u8, n*j + i);
+      state_block_u8.set(a_u8, 0);
+      state_block_u8.set(r_u8.subarray((i-1)*8, i*8), 8);
+      AES.inv_cipher(state_block_u32, w);
+
+      a_u8.set(state_block_u8.subarray(0, 8));
+      r_u8.set(state_block_u8.subarray(8, 16), (i-1)*8);
+    }
+  }
+
+  var diff = 0;
+  for (var k = 0; k < 8; k++) {
+    diff |= a_u8[k] ^ kw_default_iv[k];
+  }
+  if (diff !== 0) {
+    return null;
+  }
+
+  return r_u8.buffer;
+}
+
 // returns a new buffer with only the padding bytes
 function pkcs_pad_buffer_to_append(length) {
   var pad_byte_count = pkcs_max_pad_byte_count - (length % pkcs_max_pad_byte_count);
@@ -153,6 +478,12 @@ function pkcs_unpad(buffer) {
 module.exports = {
   encrypt_aes_cbc: encrypt_aes_cbc,
   decrypt_aes_cbc: decrypt_aes_cbc,
+  encrypt_aes_ctr: encrypt_aes_ctr,
+  decrypt_aes_ctr: decrypt_aes_ctr,
+  encrypt_aes_gcm: encrypt_aes_gcm,
+  decrypt_aes_gcm: decrypt_aes_gcm,
+  wrap_aes_kw: wrap_aes_kw,
+  unwrap_aes_kw: unwrap_aes_kw,
   pkcs_pad_buffer_to_append: pkcs_pad_buffer_to_append,
   pkcs_pad: pkcs_pad,
   pkcs_pad_byte_count: pkcs_pad_byte_count,
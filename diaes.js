@@ -18,17 +18,33 @@
 'use strict';
 
 var $ = require('jquery-browserify');
-var Crypto = require('./crypto.js');
+var Backend = require('./backend.js');
+var WorkerPool = require('./pool.js');
+var FragmentCache = require('./cache.js');
+var LicenseClient = require('./license.js');
+var Session = require('./session.js');
+var EventTarget = require('./events.js');
+var Errors = require('./errors.js');
+var OfflineStore = require('./store.js');
+var Playlist = require('./playlist.js');
+var Network = require('./network.js');
+var Stretch = require('./stretch.js');
+var NowPlaying = require('./nowplaying.js');
+var Effects = require('./effects.js');
+var HLS = require('./hls.js');
 
 /**
  * Diaes.js obfuscates the audio files in two ways.
  *
  * - First, it splits the audio files into small pieces of
- *   10 seconds or less, called `fragments`.
+ *   a few seconds, called `fragments`.
  *
  *   Each fragment is given a `fragment number`: fragment
- *   number 0 contains the first 10 seconds of the file, 
- *   fragment number 1 the next 10 seconds, and so on.
+ *   number 0 contains the first seconds of the file,
+ *   fragment number 1 the next seconds, and so on. The
+ *   fragments may have different durations, which are
+ *   either declared in the metadata or measured once
+ *   the fragments are decoded.
  * 
  *   Each fragment is stored in a separate file on the
  *   server, whose path can be retrieved using
@@ -37,14 +53,64 @@ var Crypto = require('./crypto.js');
  * - Then, it encodes every fragment using AES-CBC, with
  *   a different 256 bit key for each fragment. This
  *   makes the audio files unreadable unless decoded.
+ *
+ * The metadata may also be an HLS playlist (.m3u8), whose
+ * media segments are read as fragments, and which may be
+ * encrypted with AES-128 keys fetched from their key URIs.
  */
 
+// Assumed duration of the fragments which are neither
+// declared in the metadata nor decoded yet.
 var FRAGMENT_DURATION = 15.0;
 
 var STATE_PAUSED    = 0;
 var STATE_PLAYING   = 1;
 var STATE_BUFFERING = 2;
 var STATE_FINISHED  = 3;
+var STATE_ERROR     = 4;
+
+// How many fragments before and after the current one are
+// kept in memory, whatever the budget of the cache.
+var KEEP_BEHIND = 1;
+var KEEP_AHEAD  = 2;
+
+// Ciphers of the fragments which the backends decrypt.
+var CIPHERS = [Backend.CIPHER_CBC, Backend.CIPHER_CTR, Backend.CIPHER_GCM, Backend.CIPHER_NONE];
+
+// MIME types of the codecs named in the order of preference.
+var CODEC_TYPES = {
+	opus:   'audio/ogg; codecs="opus"',
+	vorbis: 'audio/ogg; codecs="vorbis"',
+	aac:    'audio/mp4; codecs="mp4a.40.2"',
+	flac:   'audio/flac',
+	mp3:    'audio/mpeg'
+};
+
+// Adaptive bitrate: renditions may use this share of the measured
+// throughput, or the lower share while less than LOW_BUFFER seconds
+// are buffered, and only switch up once HIGH_BUFFER seconds are.
+var BANDWIDTH_SAFETY  = 0.8;
+var LOW_BUFFER_SAFETY = 0.5;
+var LOW_BUFFER        = 5.0;
+var HIGH_BUFFER       = 10.0;
+
+// Weight of the latest sample in the throughput moving average.
+var THROUGHPUT_WEIGHT = 0.3;
+
+// The playback backends: `webaudio` decodes the fragments and plays
+// them with the Web Audio API, `mediasource` streams them through a
+// media element, and `auto` chooses by codec and duration.
+var BACKEND_AUTO         = 'auto';
+var BACKEND_WEB_AUDIO    = 'webaudio';
+var BACKEND_MEDIA_SOURCE = 'mediasource';
+
+// How long to wait for a suspended AudioContext to resume, when
+// neither resume() nor its state tell that an autoplay policy
+// prevents it. Starting the audio output may take seconds.
+var RESUME_TIMEOUT = 10000;
+
+// Resolution of the peaks computed for each decoded fragment.
+var PEAKS_PER_SECOND = 100;
 
 /**
  * Appends two AudioBuffers into a new one.
@@ -64,19 +130,88 @@ function appendBuffer(context, buffer1, buffer2) {
 }
 
 /**
- * Returns whether the browser is capable of playing
- * Vorbis-encoded .ogg files.
+ * Computes the lowest and highest sample of every channel of an
+ * AudioBuffer over bins of 1 / PEAKS_PER_SECOND seconds of its
+ * audible content, skipping the trimmed priming and padding.
+ *
+ * @param {AudioBuffer} buffer
+ * @param {Object}      trims  The `start` and `end` trims, in seconds.
+ */
+function computePeaks(buffer, trims) {
+	var start = Math.round(trims.start * buffer.sampleRate);
+	var end = Math.max(start, buffer.length - Math.round(trims.end * buffer.sampleRate));
+	var binSize = buffer.sampleRate / PEAKS_PER_SECOND;
+	var bins = Math.ceil((end - start) / binSize);
+
+	var min = new Float32Array(bins);
+	var max = new Float32Array(bins);
+
+	for (var c = 0; c < buffer.numberOfChannels; c++) {
+		var data = buffer.getChannelData(c);
+
+		for (var i = start; i < end; i++) {
+			var bin = Math.floor((i - start) / binSize);
+
+			if (data[i] < min[bin]) {
+				min[bin] = data[i];
+			} else if (data[i] > max[bin]) {
+				max[bin] = data[i];
+			}
+		}
+	}
+
+	return {min: min, max: max};
+}
+
+// Whether the browser can play each probed MIME type.
+var playableTypes = {};
+
+/**
+ * Returns whether the browser is capable of playing a given MIME
+ * type, probing each type only once.
+ */
+function canPlayType(type) {
+	if (!playableTypes.hasOwnProperty(type)) {
+		var a = document.createElement('audio');
+
+		playableTypes[type] = !!(a.canPlayType && a.canPlayType(type).replace(/no/, ''));
+	}
+
+	return playableTypes[type];
+}
+
+/**
+ * Returns the name of the codec of a given MIME type, or
+ * the MIME type itself for unknown codecs.
  */
-function canPlayVorbis() {
-	var a = document.createElement('audio');
+function codecName(type) {
+	for (var codec in CODEC_TYPES) {
+		if (CODEC_TYPES[codec] === type) {
+			return codec;
+		}
+	}
 
-	return !!(a.canPlayType && a.canPlayType('audio/ogg; codecs="vorbis"').replace(/no/, ''));
+	return type;
 }
 
 /**
  * An audio source. Communicates with the Web Audio API to
  * play a given buffer, while keeping track of the timing
  * information for that buffer.
+ *
+ * The times of a source are relative to its audible content,
+ * i.e. without the encoder priming and padding samples which
+ * are trimmed at the start and at the end of the buffer.
+ *
+ * A source plays `rate` seconds of its content per second of the
+ * AudioContext clock. The rate is either applied to the node, which
+ * also changes the pitch, or to the buffer by time-stretching it.
+ * As stretching takes a while, the stretched buffer is prepared
+ * ahead, and the timing of the source only changes once it is ready.
+ * It counts against the budget of the fragment cache while held.
+ *
+ * A source may stop `until` a given time of its content, or `loop`
+ * between two times of its content using the loop points of the node.
  */
 var Source = function (buffer, queue) {
 	// console.log('Instanciated source', buffer, queue);
@@ -87,10 +222,121 @@ var Source = function (buffer, queue) {
 	this.player = queue.reader.player; // Parent player
 
 	this.node        = null;
+	this.scheduled   = false;
 	this.startsAt    = null;
 	this.startsFrom  = 0;
-	this.endTimer    = null;
+	this.trimStart   = 0; // Priming duration, in seconds
+	this.trimEnd     = 0; // Padding duration, in seconds
 	this.endCallback = null;
+
+	this.rate      = 1.0;
+	this.timeScale = 1.0;  // Duration of the played buffer per second of content
+	this.fader     = null; // Gain node of the source, for crossfades
+	this.stretched = null; // The time-stretched buffer, and its rate
+	this.preparing = null; // The rate the buffer is being stretched for, and the callbacks waiting for it
+	this.until     = null; // Time at which the source stops, if before its end
+	this.loop      = null; // Start and end times of the loop of the source, if any
+};
+
+/**
+ * Returns the duration of the audible content of the buffer.
+ */
+Source.prototype.duration = function () {
+	return Math.max(0, this.buffer.duration - this.trimStart - this.trimEnd);
+};
+
+/**
+ * Returns the time at which the source stops playing.
+ */
+Source.prototype.endsAt = function () {
+	if (this.loop) {
+		return Infinity;
+	}
+
+	return this.startsAt + (this.stopsAt() - this.startsFrom) / this.rate;
+};
+
+/**
+ * Returns the time of the content at which the source stops.
+ */
+Source.prototype.stopsAt = function () {
+	return this.until === null ? this.duration() : Math.min(this.until, this.duration());
+};
+
+/**
+ * Checks whether the source must be time-stretched to play at
+ * a given rate.
+ */
+Source.prototype.stretches = function (rate) {
+	return this.player.preservesPitch && rate !== 1.0;
+};
+
+/**
+ * Checks whether the source can play at a given rate right away,
+ * i.e. it needs no time-stretched buffer, or has it already.
+ */
+Source.prototype.isReady = function (rate) {
+	return !this.stretches(rate) || (this.stretched !== null && this.stretched.rate === rate);
+};
+
+/**
+ * Prepares the time-stretched buffer for a given rate, if needed,
+ * then calls the callback. Only the callbacks waiting for the last
+ * rate asked for are called.
+ */
+Source.prototype.prepare = function (rate, callback) {
+	var that = this;
+
+	if (this.isReady(rate)) {
+		this.preparing = null;
+		return callback();
+	}
+
+	if (this.preparing && this.preparing.rate === rate) {
+		return this.preparing.callbacks.push(callback);
+	}
+
+	var preparing = this.preparing = {rate: rate, callbacks: [callback]};
+
+	this.reader.stretch(this.buffer, rate, function (buffer) {
+		// Either a newer rate was asked for, or the source was destroyed.
+		if (that.preparing !== preparing) {
+			return;
+		}
+
+		that.preparing = null;
+		that.stretched = {rate: rate, buffer: buffer};
+		that.reader.manager.cache.add(that.reader, that.number, buffer, true);
+
+		preparing.callbacks.forEach(function (callback) {
+			callback();
+		});
+	});
+};
+
+/**
+ * Creates a new node to play the buffer at the rate of the source,
+ * connected through a new fader. The source must be ready to play
+ * at that rate.
+ */
+Source.prototype.createNode = function () {
+	var context = this.reader.context;
+
+	this.node = context.createBufferSource();
+	this.fader = context.createGain();
+
+	if (this.stretches(this.rate)) {
+		this.node.buffer = this.stretched.buffer;
+		this.timeScale = 1.0 / this.rate;
+	} else {
+		this.node.buffer = this.buffer;
+		this.node.playbackRate.value = this.rate;
+		this.timeScale = 1.0;
+	}
+
+	this.node.connect(this.fader);
+	this.fader.connect(this.reader.gain);
+	this.scheduled = false;
 };
 
 /**
@@ -103,18 +349,17 @@ var Source = function (buffer, queue) {
 Source.prototype.setup = function (index) {
 	//console.log('Setup source', this);
 
-	this.node = this.reader.context.createBufferSource();
-	this.node.buffer = this.buffer;
-	console.log("reader : ", this.reader)
-	this.node.connect(this.reader.gain);
+	var currentTime = this.reader.context.currentTime;
 
+	this.rate = this.player.playbackRate;
+	this.createNode();
 
+	// Start right when the previous source stops, unless it is
+	// already too late to do so.
 	if (index > 0) {
-		var previous = this.queue.get(index - 1);
-		
-		this.startsAt = previous.startsAt + previous.buffer.duration - previous.startsFrom;
+		this.startsAt = Math.max(this.queue.get(index - 1).endsAt(), currentTime);
 	} else {
-		this.startsAt = this.reader.context.currentTime;
+		this.startsAt = currentTime;
 	}
 
 	// console.log('New startsAt:', this.startsAt);
@@ -128,42 +373,121 @@ Source.prototype.schedule = function () {
 
 	var that = this;
 
-	var endsAt = that.startsAt + that.buffer.duration - that.startsFrom;
-	var endsIn = endsAt - that.reader.context.currentTime;
+	that.node.onended = function () {
+		if (that.queue) {
+			that.queue.tick();
+		}
+	};
 
 	try {
-		that.node.start(that.startsAt, that.startsFrom);
+		if (that.loop) {
+			that.node.loop = true;
+			that.node.loopStart = (that.trimStart + that.loop.start) * that.timeScale;
+			that.node.loopEnd = (that.trimStart + that.loop.end) * that.timeScale;
+			that.node.start(that.startsAt, (that.trimStart + that.startsFrom) * that.timeScale);
+		} else {
+			that.node.start(that.startsAt, (that.trimStart + that.startsFrom) * that.timeScale, (that.stopsAt() - that.startsFrom) * that.timeScale);
+		}
 	}
 	catch (e) {
 		console.log('error on schedule : ', e);
 	}
 
+	that.scheduled = true;
+};
 
+/**
+ * Cancels any previously scheduled event.
+ */
+Source.prototype.cancel = function () {
+	// console.log('Cancel source', this);
 
-	if (that.endTimer) {
-		clearTimeout(that.endTimer);
-	}
+	if (this.node) {
+		this.node.onended = null;
 
-	that.endTimer = setTimeout(function () {
-		if (that.endCallback) {
-			that.endCallback();
+		if (this.scheduled) {
+			this.node.stop();
 		}
 
-		if (that.queue) {
-			that.queue.shift();
+		this.node.disconnect();
+		this.fader.disconnect();
+	}
+
+	this.node = null;
+	this.fader = null;
+	this.scheduled = false;
+};
+
+// Duration of the crossfade between two nodes of a source, in seconds.
+var CROSSFADE_DURATION = 0.02;
+
+/**
+ * Changes the rate of the playing source, then calls the callback.
+ *
+ * The node keeps playing when only its playback rate changes.
+ * Otherwise, e.g. when the buffer is time-stretched, a new node
+ * takes over from the current position, with a short crossfade,
+ * once the stretched buffer is ready. Until then, the former node
+ * keeps playing at the former rate.
+ */
+Source.prototype.changeRate = function (rate, callback) {
+	var that = this;
+
+	if (this.timeScale === 1.0 && !this.stretches(rate)) {
+		this.preparing = null;
+		this.rebase();
+		this.rate = rate;
+		this.node.playbackRate.setValueAtTime(rate, this.startsAt);
+		return callback();
+	}
+
+	this.prepare(rate, function () {
+		// The source was paused or dropped in the meantime.
+		if (!that.node) {
+			return;
 		}
-	}, endsIn * 1000 + 200);
+
+		that.rebase();
+		that.rate = rate;
+		that.replaceNode(CROSSFADE_DURATION);
+		callback();
+	});
 };
 
 /**
- * Cancels any previously scheduled event.
+ * Makes the playing source start from now, at its current position,
+ * so that its timing can change from now on.
  */
-Source.prototype.cancel = function () {
-	// console.log('Cancel source', this);
+Source.prototype.rebase = function () {
+	this.startsFrom = this.elapsed();
+	this.startsAt = this.reader.context.currentTime;
+};
+
+/**
+ * Replaces the node of the rebased source with a new one, which
+ * takes over from now with a crossfade of a given duration.
+ */
+Source.prototype.replaceNode = function (crossfade) {
+	var time = this.reader.context.currentTime;
+	var node = this.node;
+	var fader = this.fader;
+
+	this.createNode();
+	this.schedule();
+
+	if (crossfade) {
+		fader.gain.setValueAtTime(1.0, time);
+		fader.gain.linearRampToValueAtTime(0.0, time + crossfade);
+		this.fader.gain.setValueAtTime(0.0, time);
+		this.fader.gain.linearRampToValueAtTime(1.0, time + crossfade);
+	}
+
+	node.onended = function () {
+		node.disconnect();
+		fader.disconnect();
+	};
 
-	this.node && this.node.disconnect();
-	clearTimeout(this.endTimer);
-	this.endTimer = null;
+	node.stop(time + crossfade);
 };
 
 /**
@@ -173,6 +497,10 @@ Source.prototype.destroy = function () {
 
 	this.cancel();
 
+	if (this.stretched) {
+		this.reader.manager.cache.discard(this.reader, this.number, true);
+	}
+
 	delete this.buffer;
 	delete this.queue;
 	delete this.reader;
@@ -181,24 +509,48 @@ Source.prototype.destroy = function () {
 	//delete this.node;
 	delete this.startsAt;
 	delete this.startsFrom;
-	delete this.endTimer;
 	delete this.endCallback;
+	delete this.stretched;
+	delete this.preparing;
+
 
+};
 
+/**
+ * Checks whether the source started playing.
+ */
+Source.prototype.isPlaying = function () {
+	return this.scheduled && this.startsAt <= this.reader.context.currentTime;
 };
 
 /**
  * Computes the elapsed playing time.
  */
 Source.prototype.elapsed = function () {
-	return this.reader.context.currentTime - this.startsAt + this.startsFrom;
+	var elapsed = Math.max(0, this.reader.context.currentTime - this.startsAt) * this.rate + this.startsFrom;
+
+	if (this.loop && elapsed >= this.loop.end) {
+		return this.loop.start + (elapsed - this.loop.start) % (this.loop.end - this.loop.start);
+	}
+
+	return Math.min(elapsed, this.stopsAt());
 };
 
 // -------------------------------------------------------------------- //
 
+// How often the queue fires the end of the sources which stopped,
+// in case their `ended` event was missed. Sources do not wait for it
+// to start, as timers are throttled in background tabs.
+var SCHEDULE_INTERVAL = 250;
+
 /**
  * An audio source queue. Manages several audio sources, and plays
  * them in the order they were queued.
+ *
+ * The queue is driven by the AudioContext clock: each source is
+ * started on it as soon as it is set up, at the exact time the
+ * previous source ends, and the end of every source is fired once
+ * the clock has passed it.
  */
 var SourceQueue = function (reader) {
 	this.reader = reader; // Parent reader
@@ -206,6 +558,8 @@ var SourceQueue = function (reader) {
 	this.state = STATE_PAUSED;
 	this.sources = [];
 	this.latestElapsed = 0;
+	this.scheduler = null;
+	this.ticking = false;
 };
 
 /**
@@ -245,18 +599,40 @@ SourceQueue.prototype.shift = function () {
 	this.sources.shift();
 };
 
+/**
+ * Creates the source playing a given buffer.
+ */
+SourceQueue.prototype.createSource = function (buffer) {
+	return new Source(buffer, this);
+};
+
+/**
+ * Checks whether the queue can play a given MIME type.
+ */
+SourceQueue.prototype.canPlayType = function (type) {
+	return canPlayType(type);
+};
+
+/**
+ * Decodes the data of a fragment into the buffer which the queue
+ * plays, and passes it to the callback, or calls `errback` if the
+ * data cannot be decoded.
+ */
+SourceQueue.prototype.decode = function (data, callback, errback) {
+	this.reader.context.decodeAudioData(data, callback, errback);
+};
+
 /**
  * Adds a buffer to the queue.
  */
 SourceQueue.prototype.push = function (buffer, number, beforeSetup) {
 	// console.log('Pushing to the queue', buffer);
 
-	var source = new Source(buffer, this);
-	var sourceIndex = this.sources.length;
-
-	if (_.find(this.queue, {number: number}))
+	if (_.find(this.sources, {number: number}))
 		return ;
 
+	var source = this.createSource(buffer);
+
 	source.number = number;
 	this.sources.push(source);
 
@@ -265,8 +641,7 @@ SourceQueue.prototype.push = function (buffer, number, beforeSetup) {
 	}
 
 	if (this.state == STATE_PLAYING) {
-		source.setup(sourceIndex);
-		source.schedule();
+		this.tick();
 	}
 
 	return source;
@@ -281,10 +656,72 @@ SourceQueue.prototype.empty = function () {
 	}
 };
 
+/**
+ * Fires the end of the sources which stopped playing, and
+ * starts the sources which are not started yet.
+ */
+SourceQueue.prototype.tick = function () {
+	if (this.ticking || this.state != STATE_PLAYING) {
+		return;
+	}
+
+	this.ticking = true;
+
+	var currentTime = this.reader.context.currentTime;
+
+	while (this.state == STATE_PLAYING && !this.isEmpty() &&
+	       this.first().scheduled && this.first().endsAt() <= currentTime) {
+		var endCallback = this.first().endCallback;
+
+		this.shift();
+
+		if (endCallback) {
+			endCallback();
+		}
+	}
+
+	if (this.state == STATE_PLAYING) {
+		var rate = this.reader.player.playbackRate;
+		var that = this;
+		var blocked = false;
+
+		for (var i = 0; i < this.sources.length; i++) {
+			var source = this.get(i);
+
+			// Sources are set up once their stretched buffer is ready,
+			// which is prepared as soon as they are queued.
+			if (!source.node && !source.isReady(rate)) {
+				source.prepare(rate, function () {
+					that.tick();
+				});
+				blocked = true;
+			}
+
+			if (blocked) {
+				continue;
+			}
+
+			if (!source.node) {
+				source.setup(i);
+			}
+
+			if (!source.scheduled) {
+				source.schedule();
+			}
+
+			// The following sources start once this one ends, which is
+			// only known once its pending rate change applies.
+			blocked = source.preparing !== null;
+		}
+	}
+
+	this.ticking = false;
+};
+
 /**
  * Plays the queue's sources.
  */
-SourceQueue.prototype.play = function () {
+SourceQueue.prototype.play = function (quiet) {
 	if (this.state == STATE_PLAYING) {
 		return;
 	}
@@ -292,26 +729,45 @@ SourceQueue.prototype.play = function () {
 		return this.reader.setCurrentTime(0);
 	}
 
+	var that = this;
+
 	this.latestElapsed = null;
 	this.state = STATE_PLAYING;
 	// TODO: Move elsewhere
-	this.reader.playingInterval = setInterval(this.reader.player.whilePlaying, 500);
-	this.reader.player.onPlay();
+	this.reader.playingInterval = setInterval(function () {
+		that.reader.player.emit('timeupdate');
+	}, 500);
 
-	for (var i = 0; i < this.sources.length; i++) {
-		var source = this.get(i);
-		source.setup(i);
-		source.schedule();
+	if (!quiet) {
+		this.reader.player.emit('play');
+	}
+
+	this.scheduler = setInterval(function () {
+		that.tick();
+	}, SCHEDULE_INTERVAL);
+
+	this.tick();
+
+	if (!this.reader.buffering) {
+		this.reader.player.emit('playing');
 	}
 };
 
 /** 
- * Pauses the playing of the queue's sources.
+ * Pauses the playing of the queue's sources. The detail of the
+ * `pause` event tells why the queue paused by itself, if it did.
+ *
+ * Internal pauses, e.g. while seeking, are `quiet`: they emit no
+ * `pause` event, and the queue resumes with a quiet `play`.
  */
-SourceQueue.prototype.pause = function () {
+SourceQueue.prototype.pause = function (detail, quiet) {
 	if (this.state == STATE_PAUSED) {
 		return;
 	}
+	if (this.state == STATE_FINISHED) {
+		this.state = STATE_PAUSED;
+		return;
+	}
 
 	if (!this.isEmpty()) {
 		this.latestElapsed = this.first().elapsed();
@@ -319,15 +775,49 @@ SourceQueue.prototype.pause = function () {
 
 	this.state = STATE_PAUSED;
 	window.clearInterval(this.reader.playingInterval);
-	this.reader.player.onPause();
+	window.clearInterval(this.scheduler);
+	this.scheduler = null;
+
+	if (!quiet) {
+		this.reader.player.emit('pause', detail);
+	}
 
 	for (var i = 0; i < this.sources.length; i++) {
 		this.get(i).cancel();
 	}
 
 	if (!this.isEmpty()) {
-		this.first().startsFrom = this.first().elapsed();
+		this.first().startsFrom = this.latestElapsed;
+	}
+};
+
+/**
+ * Applies the playback rate of the player to the sources. The
+ * playing source changes its rate, and the following ones are set
+ * up again to start when it ends at the new rate.
+ */
+SourceQueue.prototype.updateRate = function () {
+	if (this.state != STATE_PLAYING) {
+		return;
+	}
+
+	var that = this;
+	var rate = this.reader.player.playbackRate;
+	var currentTime = this.reader.context.currentTime;
+
+	for (var i = 0; i < this.sources.length; i++) {
+		var source = this.get(i);
+
+		if (source.scheduled && source.startsAt <= currentTime) {
+			source.changeRate(rate, function () {
+				that.tick();
+			});
+		} else {
+			source.cancel();
+		}
 	}
+
+	this.tick();
 };
 
 /**
@@ -343,382 +833,2975 @@ SourceQueue.prototype.elapsed = function () {
 	}
 };
 
-// -------------------------------------------------------------------- //
-
 /**
- * An audio reader. Fetches the fragments of the audio file,
- * and manages them using an audio source queue.
+ * Empties the queue and stops its scheduler, once its reader is
+ * destroyed or hands over to another queue.
  */
-var Reader = function (path, player) {
-	this.path   = path;   // Path to the file metadata
-	this.player = player; // Parent player
+SourceQueue.prototype.destroy = function () {
+	window.clearInterval(this.scheduler);
+	this.scheduler = null;
+	this.empty();
+};
 
-	this.fragments = [];
-	this.queue = new SourceQueue(this);
-	this.currentFragmentNumber = 0;
-	this.buffering = false;
-	this.duration = null;
-	this.jumped = false;
+// -------------------------------------------------------------------- //
 
-	this.manager = this.player.manager;
-	this.context = this.manager.context;
-	this.gain = this.manager.gain;
+// The Media Source backend only streams the formats whose fragments
+// may be appended on their own: MP3 and ADTS frames need no
+// initialization segment, and each WebM fragment starts with its own.
+var STREAMABLE_TYPES = ['audio/mpeg', 'audio/aac', 'audio/webm'];
 
-	this.playingInterval = null;
+// How close two times of the media element must be to count as the
+// same, in seconds, e.g. where a segment takes over from the previous
+// one. Segments which do not follow the previous one are seeked to.
+var SEGMENT_TOLERANCE = 0.05;
 
-	var that = this;
+/**
+ * A fragment played by a MediaQueue. It has the timing fields of
+ * a Source, but the times are read from the media element, on
+ * whose timeline the fragment sits at its offset in the file.
+ *
+ * The `buffer` holds the encoded data of the fragment, which is
+ * appended to the SourceBuffer of the queue.
+ */
+var MediaSegment = function (buffer, queue) {
+	this.buffer = buffer;
+	this.queue  = queue;
+	this.reader = queue.reader;
 
-	that.player.onBufferingStart();
-	that.buffering = true;
-	console.log(this.context.state);
+	this.started     = false;
+	this.startsFrom  = 0;
+	this.trimStart   = 0;
+	this.trimEnd     = 0;
+	this.endCallback = null;
 
-	that.fetchMetadata(function () {
-		that.player.onMetadataFetched();
+	this.until = null;
+	this.loop  = null;
+};
 
-		that.loadFragment(0, function () {
-			if (that.jumped)
-				return ;
-			that.scheduleFragment(0, 0);
-			that.player.onBufferingStop();
-			that.buffering = false;
-			that.loadAndScheduleFragment(1);
-		});
-	});
+/**
+ * Returns the duration of the audible content of the fragment,
+ * which must be declared in the metadata.
+ */
+MediaSegment.prototype.duration = function () {
+	return this.reader.getFragmentDuration(this.number);
 };
 
 /**
- * Fetches the file's metadata.
+ * Returns the time of the media element at which the fragment starts.
  */
-Reader.prototype.fetchMetadata = function (callback) {
-	var that = this;
+MediaSegment.prototype.start = function () {
+	return this.reader.getFragmentOffset(this.number);
+};
 
-	$.getJSON(this.path, { 
-		bust: (new Date()).getTime() 
-	}).done(function (metadata) {
-		that.duration = metadata.duration;
-		
-		$.each(metadata.fragments, function (index, fragment) {
-			that.fragments.push({
-				buffer: null,
-				mpath: fragment.mpath,
-				vpath: fragment.vpath,
-				key: fragment.key,
-				iv: fragment.iv
-			});
-		});
+MediaSegment.prototype.stopsAt = Source.prototype.stopsAt;
 
-		callback();
-	}).fail(function (xhr) {
-		that.player.onMetadataError($.parseJSON(xhr.responseText));
-	});
+/**
+ * Returns the time of the content of the fragment which the media
+ * element is at, beyond the end of the fragment if it played on.
+ */
+MediaSegment.prototype.position = function () {
+	return this.queue.element.currentTime - this.start();
 };
 
 /**
- * Returns the fragment number associated with a time.
+ * Checks whether the segment started playing.
  */
-Reader.prototype.getFragmentNumber = function (time) {
-	return Math.floor(time / FRAGMENT_DURATION);
+MediaSegment.prototype.isPlaying = function () {
+	return this.started;
 };
 
 /**
- * Converts a hex string into a Uint8Array.
+ * Checks whether the media element played past the end of the
+ * segment, or reached the end of the stream.
  */
-Reader.prototype.convertHex = function (hex) {
-	var bytes = [];
-	hex = hex.trim();
-
-	for (var c = 0; c < hex.length; c += 2) {
-		bytes.push(parseInt(hex.substr(c, 2), 16));
-	}
-
-	return new Uint8Array(bytes);
+MediaSegment.prototype.hasEnded = function () {
+	return !this.loop && (this.queue.element.ended || this.position() >= this.stopsAt() - 1e-3);
 };
 
 /**
- * Decodes the given ArrayBuffer.
+ * Computes the elapsed playing time.
  */
-Reader.prototype.decodeFragment = function (number, encodedRawBuffer) {
-	if (this.fragments[number].decoded) {
-		return encodedRawBuffer;
+MediaSegment.prototype.elapsed = function () {
+	if (!this.started) {
+		return this.startsFrom;
 	}
 
-	// https://github.com/wader/aes-arraybuffer
-	var key = this.convertHex(this.fragments[number].key).buffer;
-	var iv  = this.convertHex(this.fragments[number].iv).buffer;
+	return Math.max(0, Math.min(this.position(), this.loop ? this.loop.end : this.stopsAt()));
+};
 
-	return Crypto.pkcs_unpad(Crypto.decrypt_aes_cbc(encodedRawBuffer, key, iv));
+/**
+ * Makes the playing segment start from its current position. The
+ * media element plays on, so only the position is recorded.
+ */
+MediaSegment.prototype.rebase = function () {
+	this.startsFrom = this.elapsed();
 };
 
 /**
- * Fetches a given fragment, decodes it, and passes
- * the binary data to the callback.
+ * The media element plays on when the end or the loop points of
+ * the segment change, as the queue checks them as it plays.
+ */
+MediaSegment.prototype.replaceNode = function () {};
+
+MediaSegment.prototype.cancel = function () {};
+
+/**
+ * Destroys the segment.
+ */
+MediaSegment.prototype.destroy = function () {
+	delete this.buffer;
+	delete this.queue;
+	delete this.reader;
+	delete this.endCallback;
+};
+
+/**
+ * A queue which plays the fragments through a hidden media element,
+ * as an alternative to decoding them with the Web Audio API. The
+ * encoded fragments are appended to the SourceBuffer of a MediaSource
+ * at their offset in the file, skipping their priming and padding,
+ * and the element feeds the channel of the player through a
+ * MediaElementAudioSourceNode. Decoded audio never sits in memory.
+ *
+ * The queue has the interface of a SourceQueue, so that the reader
+ * schedules the fragments in the same way. Fragments which do not
+ * follow the previous one, e.g. at the end of a loop, are seeked to.
+ */
+var MediaQueue = function (reader) {
+	SourceQueue.call(this, reader);
+
+	this.continuesAt = null; // The time at which the last segment ended, if it played to its end
+	this.timer = null;       // Fires the end of the playing segment
+	this.operations = [];    // Pending operations on the SourceBuffer
+	this.sourceBuffer = null;
+	this.type = null;        // The MIME type of the SourceBuffer
+	this.switching = null;   // The segment which replaces the SourceBuffer once it plays next
+
+	this.open();
+};
+
+MediaQueue.prototype = Object.create(SourceQueue.prototype);
+MediaQueue.prototype.constructor = MediaQueue;
+
+/**
+ * Checks whether the browser supports Media Source Extensions
+ * and routing media elements into an AudioContext.
+ */
+MediaQueue.isSupported = function (context) {
+	return typeof MediaSource !== 'undefined' && !!context.createMediaElementSource;
+};
+
+/**
+ * Checks whether the fragments of a given MIME type can be streamed
+ * through a MediaSource.
+ */
+MediaQueue.canStream = function (type) {
+	return STREAMABLE_TYPES.indexOf(type.split(';')[0].trim()) !== -1 && MediaSource.isTypeSupported(type);
+};
+
+/**
+ * Creates the media element and its MediaSource, and routes the
+ * element into the channel of the player.
+ */
+MediaQueue.prototype.open = function () {
+	var that = this;
+	var reader = this.reader;
+
+	this.element = document.createElement('audio');
+	this.mediaSource = new MediaSource();
+	this.sourceBuffer = null;
+	this.type = null;
+	this.switching = null;
+	this.operations = [];
+
+	// The MediaSource opens again whenever data is appended once ended.
+	this.mediaSource.addEventListener('sourceopen', function () {
+		if (isNaN(that.mediaSource.duration)) {
+			that.mediaSource.duration = reader.getFragmentOffset(reader.fragments.length);
+		}
+
+		that.run();
+	});
+
+	this.element.addEventListener('timeupdate', function () {
+		that.tick();
+	});
+
+	this.element.addEventListener('ended', function () {
+		that.tick();
+	});
+
+	this.element.addEventListener('error', function () {
+		that.fail('The media element could not decode the fragment.');
+	});
+
+	this.element.src = URL.createObjectURL(this.mediaSource);
+	this.node = reader.context.createMediaElementSource(this.element);
+	this.node.connect(reader.gain);
+
+	this.updateRate();
+};
+
+/**
+ * Tears down the media element and its MediaSource.
+ */
+MediaQueue.prototype.close = function () {
+	window.clearTimeout(this.timer);
+	this.timer = null;
+
+	this.element.pause();
+	this.node.disconnect();
+	URL.revokeObjectURL(this.element.src);
+	this.element.removeAttribute('src');
+	this.element.load();
+
+	this.operations = [];
+};
+
+/**
+ * Stops the reader once the media element failed. Recovering
+ * starts over with a new element, from the current time.
+ */
+MediaQueue.prototype.fail = function (message) {
+	var that = this;
+	var reader = this.reader;
+
+	if (reader.error) {
+		return;
+	}
+
+	var time = reader.getCurrentTime();
+	var number = this.isEmpty() ? reader.currentFragmentNumber : this.first().number;
+
+	this.close();
+
+	reader.fail({kind: 'decode', code: Errors.MediaError.MEDIA_ERR_DECODE, fragment: number, message: message}, function () {
+		that.open();
+		reader.setCurrentTime(time);
+	});
+};
+
+MediaQueue.prototype.createSource = function (buffer) {
+	return new MediaSegment(buffer, this);
+};
+
+MediaQueue.prototype.canPlayType = function (type) {
+	return MediaQueue.canStream(type);
+};
+
+/**
+ * The media element decodes the fragments itself, so they are
+ * kept encoded.
+ */
+MediaQueue.prototype.decode = function (data, callback) {
+	callback(data);
+};
+
+/**
+ * Adds a fragment to the queue, and appends it to the SourceBuffer.
+ */
+MediaQueue.prototype.push = function (buffer, number, beforeSetup) {
+	var segment = SourceQueue.prototype.push.call(this, buffer, number, beforeSetup);
+
+	if (segment) {
+		this.append(segment);
+	}
+
+	return segment;
+};
+
+MediaQueue.prototype.empty = function () {
+	SourceQueue.prototype.empty.call(this);
+	this.continuesAt = null;
+};
+
+/**
+ * Queues an operation on the SourceBuffer, which only runs once
+ * the MediaSource is open and the previous operations are done.
+ */
+MediaQueue.prototype.enqueue = function (operation) {
+	this.operations.push(operation);
+	this.run();
+};
+
+/**
+ * Runs the next pending operation on the SourceBuffer, if any.
+ * Operations which do not update the SourceBuffer run the next one
+ * right away, and the others once the update ends. Operations wait
+ * while a segment which replaces the SourceBuffer is not next.
+ */
+MediaQueue.prototype.run = function () {
+	while (this.operations.length && this.mediaSource.readyState !== 'closed' &&
+	       !(this.sourceBuffer && this.sourceBuffer.updating) && this.sources.indexOf(this.switching) <= 0) {
+		this.operations.shift().call(this);
+	}
+};
+
+/**
+ * Returns whether the SourceBuffer holds the media between two times.
+ */
+MediaQueue.prototype.isBuffered = function (start, end) {
+	var buffered = this.sourceBuffer ? this.sourceBuffer.buffered : null;
+
+	for (var i = 0; buffered && i < buffered.length; i++) {
+		if (buffered.start(i) <= start + SEGMENT_TOLERANCE && buffered.end(i) >= end - SEGMENT_TOLERANCE) {
+			return true;
+		}
+	}
+
+	return false;
+};
+
+/**
+ * Appends the encoded data of a segment to the SourceBuffer, at
+ * its offset in the file, unless it is still buffered, e.g. when
+ * a loop goes back to it. The append window cuts the priming and
+ * padding of the fragment.
+ *
+ * Once the SourceBuffer is full, the media away from the playhead
+ * is removed to make room, and the append starts over.
+ *
+ * Without `changeType`, a segment of another MIME type needs a new
+ * SourceBuffer, and the media buffered in the previous one is lost.
+ * The segment then waits until the segments before it have played,
+ * so that the rendition only switches at a fragment boundary.
+ */
+MediaQueue.prototype.append = function (segment) {
+	var reader = this.reader;
+	var number = segment.number;
+	var data = segment.buffer;
+	var type = reader.fragments[number].rendition.type;
+	var start = segment.start();
+	var end = start + segment.duration();
+	var trimStart = segment.trimStart;
+
+	var operation = function () {
+		var sourceBuffer = this.sourceBuffer;
+
+		this.switching = null;
+
+		if (this.isBuffered(start, end)) {
+			return;
+		}
+
+		if (sourceBuffer && type !== this.type && !sourceBuffer.changeType) {
+			var index = this.sources.indexOf(segment);
+
+			// Maybe the segment was dropped, e.g. by a seek?
+			if (index === -1) {
+				return;
+			}
+
+			if (index > 0) {
+				this.switching = segment;
+				this.operations.unshift(operation);
+				return;
+			}
+		}
+
+		try {
+			if (!sourceBuffer) {
+				sourceBuffer = this.createSourceBuffer(type);
+			} else if (type !== this.type && sourceBuffer.changeType) {
+				sourceBuffer.changeType(type);
+				this.type = type;
+			} else if (type !== this.type) {
+				this.mediaSource.removeSourceBuffer(sourceBuffer);
+				sourceBuffer = this.createSourceBuffer(type);
+			}
+
+			sourceBuffer.timestampOffset = start - trimStart;
+			sourceBuffer.appendWindowEnd = Infinity;
+			sourceBuffer.appendWindowStart = start;
+			sourceBuffer.appendWindowEnd = end;
+
+			sourceBuffer.appendBuffer(data);
+		} catch (e) {
+			if (e.name === 'QuotaExceededError' && this.removeUnneeded(operation)) {
+				return;
+			}
+
+			this.fail('The fragment could not be appended: ' + e.message);
+			return;
+		}
+
+		// The element only fires `ended` once the stream is complete.
+		if (number === reader.fragments.length - 1) {
+			this.enqueue(function () {
+				if (this.mediaSource.readyState === 'open') {
+					this.mediaSource.endOfStream();
+				}
+			});
+		}
+	};
+
+	this.enqueue(operation);
+};
+
+/**
+ * Creates the SourceBuffer, for a given MIME type.
+ */
+MediaQueue.prototype.createSourceBuffer = function (type) {
+	var that = this;
+
+	this.sourceBuffer = this.mediaSource.addSourceBuffer(type);
+	this.type = type;
+
+	this.sourceBuffer.addEventListener('updateend', function () {
+		that.run();
+	});
+
+	this.sourceBuffer.addEventListener('error', function () {
+		that.fail('The fragment could not be appended.');
+	});
+
+	return this.sourceBuffer;
+};
+
+/**
+ * Returns whether the SourceBuffer holds any media between two times.
+ */
+MediaQueue.prototype.overlapsBuffered = function (start, end) {
+	var buffered = this.sourceBuffer ? this.sourceBuffer.buffered : null;
+
+	for (var i = 0; buffered && i < buffered.length; i++) {
+		if (buffered.start(i) < end - SEGMENT_TOLERANCE && buffered.end(i) > start + SEGMENT_TOLERANCE) {
+			return true;
+		}
+	}
+
+	return false;
+};
+
+/**
+ * Removes the media of the fragments which are neither queued nor
+ * needed by the reader from the SourceBuffer, then runs a given
+ * operation. Returns false, without doing anything, if there is no
+ * such media to remove.
+ */
+MediaQueue.prototype.removeUnneeded = function (operation) {
+	var reader = this.reader;
+	var removals = [];
+
+	for (var n = 0; n < reader.fragments.length; n++) {
+		var start = reader.getFragmentOffset(n);
+		var end = reader.getFragmentOffset(n + 1);
+
+		if (!reader.isFragmentNeeded(n) && this.overlapsBuffered(start, end)) {
+			removals.push({start: start, end: end});
+		}
+	}
+
+	if (!removals.length) {
+		return false;
+	}
+
+	// The removals and the operation run before any other pending one.
+	this.operations = removals.map(function (removal) {
+		return function () {
+			this.sourceBuffer.remove(removal.start, removal.end);
+		};
+	}).concat(operation, this.operations);
+
+	return true;
+};
+
+/**
+ * Fires the end of the segments which the element played past,
+ * seeks the element to the segment which takes over unless it
+ * follows the previous one, and loops the segment if needed.
+ */
+MediaQueue.prototype.tick = function () {
+	if (this.ticking || this.state != STATE_PLAYING) {
+		return;
+	}
+
+	this.ticking = true;
+
+	window.clearTimeout(this.timer);
+	this.timer = null;
+
+	while (this.state == STATE_PLAYING && !this.isEmpty() &&
+	       this.first().started && this.first().hasEnded()) {
+		var segment = this.first();
+		var endCallback = segment.endCallback;
+
+		this.continuesAt = segment.until === null ? segment.start() + segment.duration() : null;
+		this.shift();
+
+		if (endCallback) {
+			endCallback();
+		}
+	}
+
+	// A segment which waits to replace the SourceBuffer may be next.
+	this.run();
+
+	if (this.state == STATE_PLAYING && !this.isEmpty()) {
+		this.startSegment(this.first());
+	}
+
+	this.ticking = false;
+};
+
+/**
+ * Makes a given segment play, seeking the element to it if needed,
+ * and schedules the check of its end.
+ */
+MediaQueue.prototype.startSegment = function (segment) {
+	var element = this.element;
+	var that = this;
+
+	if (!segment.started) {
+		var time = segment.start() + segment.startsFrom;
+
+		if (this.continuesAt === null || Math.abs(time - this.continuesAt) > SEGMENT_TOLERANCE) {
+			element.currentTime = time;
+		}
+
+		segment.started = true;
+	}
+
+	if (segment.loop && segment.position() >= segment.loop.end) {
+		element.currentTime = segment.start() + segment.loop.start;
+	}
+
+	if (element.paused) {
+		this.resume();
+	}
+
+	// The `timeupdate` events of the element are too coarse for the
+	// end of loops, which is checked again right when it is due.
+	var end = segment.loop ? segment.loop.end : segment.stopsAt();
+	var delay = (end - segment.position()) / element.playbackRate;
+
+	this.timer = window.setTimeout(function () {
+		that.tick();
+	}, Math.max(0, delay * 1000));
+};
+
+/**
+ * Starts the media element.
+ */
+MediaQueue.prototype.resume = function () {
+	var that = this;
+	var promise = this.element.play();
+
+	if (promise) {
+		promise.catch(function (error) {
+			// An autoplay policy may prevent the element from playing.
+			if (error.name === 'NotAllowedError' && that.state == STATE_PLAYING) {
+				that.pause({reason: 'notallowed', message: error.message});
+			}
+		});
+	}
+};
+
+/**
+ * Pauses the media element along with the queue.
+ */
+MediaQueue.prototype.pause = function (detail, quiet) {
+	SourceQueue.prototype.pause.call(this, detail, quiet);
+
+	window.clearTimeout(this.timer);
+	this.timer = null;
+	this.element.pause();
+};
+
+/**
+ * Applies the playback rate of the player to the media element,
+ * which time-stretches natively to preserve the pitch.
+ */
+MediaQueue.prototype.updateRate = function () {
+	var player = this.reader.player;
+	var element = this.element;
+
+	element.playbackRate = player.playbackRate;
+	element.preservesPitch = element.mozPreservesPitch = element.webkitPreservesPitch = player.preservesPitch;
+
+	this.tick();
+};
+
+MediaQueue.prototype.destroy = function () {
+	SourceQueue.prototype.destroy.call(this);
+	this.close();
+};
+
+// -------------------------------------------------------------------- //
+
+/**
+ * An audio reader. Fetches the fragments of the audio file,
+ * and manages them using an audio source queue.
+ */
+var Reader = function (path, player) {
+	this.path   = path;   // Path to the file metadata
+	this.player = player; // Parent player
+
+	this.fragments = [];
+	this.offsets = [0]; // Start time of each fragment, plus the end time
+	this.queue = new SourceQueue(this);
+	this.currentFragmentNumber = 0;
+	this.buffering = false;
+	this.duration = null;
+	this.jumped = false;
+	this.loading = false;
+	this.ready = false;          // Whether the first fragment was loaded
+	this.metadata = null;        // The metadata, as served
+	this.renditions = [];        // The playable renditions, by increasing bitrate
+	this.level = null;           // The index of the selected rendition
+	this.pinnedLevel = null;     // The index of the rendition pinned by the user, if any
+	this.maxBitrate = player.maxBitrate;
+	this.throughput = null;      // The average download throughput, in bits per second
+	this.undecodable = {};       // The MIME types which failed to decode
+	this.metadataError = null;   // The detail of the metadata error, if any
+	this.error = null;           // The MediaError which stopped the reader, if any
+	this.retries = [];           // Functions resuming the failed requests
+	this.deferred = [];          // Loaded fragments waiting for the previous one to be scheduled, see scheduleDeferred
+	this.generation = 0;         // Bumped whenever the scheduled fragments are dropped, e.g. by a seek
+	this.interrupted = false;    // Whether a seek paused the playing queue, which it then resumes quietly
+
+	this.manager = this.player.manager;
+	this.context = this.manager.context;
+	this.gain = this.player.channel.input;
+
+	// Keys are requested from the license endpoint, if any.
+	this.license = player.licenseUrl ? new LicenseClient(player.licenseUrl, player.licenseToken, this.requestOptions('json')) : null;
+
+	// Keys fetched from the key URIs of HLS playlists, by URI.
+	this.keys = {};
+
+	// Keys may be wrapped for this session only.
+	this.session = null;
+	this.wrapping = null;
+
+	this.playingInterval = null;
+
+	// Requests may complete once the reader is destroyed, and are then dropped.
+	this.destroyed = false;
+
+	// Seeks wait for the user to stop asking for new times, each
+	// reader on its own so that concurrent seeks of players all run.
+	this.debouncedSeek = _.debounce(this.seek.bind(this), 300);
+
+	if (player.preload) {
+		this.load();
+	}
+};
+
+/**
+ * Fetches the metadata and the first fragments of the file,
+ * unless this was already done.
+ */
+Reader.prototype.load = function () {
+	var that = this;
+
+	if (that.loading || that.destroyed) {
+		return;
+	}
+
+	that.loading = true;
+	that.startBuffering();
+
+	that.fetchMetadata(function () {
+		that.chooseBackend();
+		that.player.emit('loadedmetadata');
+
+		that.loadFragment(0, function () {
+			that.ready = true;
+
+			if (that.jumped)
+				return ;
+			that.scheduleFragment(0, 0);
+			that.stopBuffering();
+			that.loadAndScheduleAfter(0, 1);
+		});
+	});
+};
+
+/**
+ * Plays the file through a media element rather than the Web Audio
+ * API if it suits the file, which is decided once its metadata is
+ * known. The empty queue of the Web Audio backend hands over its
+ * state to the new queue.
+ */
+Reader.prototype.chooseBackend = function () {
+	var queue = this.queue;
+
+	if (!this.suitsMediaSource()) {
+		return;
+	}
+
+	this.queue = new MediaQueue(this);
+	this.queue.state = queue.state;
+	this.queue.latestElapsed = queue.latestElapsed;
+	queue.destroy();
+
+	// Only the renditions which can be streamed are played from now on.
+	this.renditions = this.listRenditions();
+	this.level = null;
+};
+
+/**
+ * Checks whether the file should play through a media element: the
+ * `backend` of the player may ask for it, or else it is chosen for
+ * files at least `mediaSourceDuration` long. Either way, every
+ * fragment needs a streamable rendition, and a declared duration
+ * since it is never decoded.
+ */
+Reader.prototype.suitsMediaSource = function () {
+	var backend = this.player.backend;
+
+	if (backend === BACKEND_WEB_AUDIO || !MediaQueue.isSupported(this.context)) {
+		return false;
+	}
+
+	if (backend !== BACKEND_MEDIA_SOURCE && this.duration < this.player.mediaSourceDuration) {
+		return false;
+	}
+
+	return _.every(this.fragments, function (fragment) {
+		return fragment.declared && _.some(fragment.renditions, function (rendition) {
+			return MediaQueue.canStream(rendition.type);
+		});
+	});
+};
+
+/**
+ * Marks the reader as waiting for a fragment.
+ */
+Reader.prototype.startBuffering = function () {
+	this.buffering = true;
+	this.player.emit('waiting');
+};
+
+/**
+ * Marks the reader as ready to play, and notifies that the
+ * playing resumes if the queue was waiting to play.
+ */
+Reader.prototype.stopBuffering = function () {
+	this.buffering = false;
+	this.player.emit('canplay');
+
+	if (this.queue.state == STATE_PLAYING) {
+		this.player.emit('playing');
+	}
+};
+
+/**
+ * Time-stretches a decoded buffer to play `rate` times faster or
+ * slower at the same pitch, and passes the stretched buffer to the
+ * callback. This takes a while, so it runs on the workers of the
+ * manager if any, and a slice at a time on the main thread otherwise.
+ */
+Reader.prototype.stretch = function (buffer, rate, callback) {
+	var that = this;
+	var pool = this.manager.pool;
+
+	if (pool) {
+		pool.stretch(Stretch.getChannels(buffer), buffer.sampleRate, rate, function (channels) {
+			if (that.destroyed) {
+				return;
+			}
+
+			callback(Stretch.toBuffer(that.context, channels, buffer.sampleRate));
+		});
+		return;
+	}
+
+	Stretch.stretchInSlices(Stretch.getChannels(buffer), buffer.sampleRate, rate, function (channels) {
+		callback(Stretch.toBuffer(that.context, channels, buffer.sampleRate));
+	}, function () {
+		return that.destroyed;
+	});
+};
+
+/**
+ * Fetches the file's metadata, from the offline store if the
+ * file was downloaded, and from the network otherwise.
+ */
+Reader.prototype.fetchMetadata = function (callback) {
+	var that = this;
+
+	that.readStoredMetadata(function (found) {
+		if (found) {
+			return callback();
+		}
+
+		that.createSession(function () {
+			var params = {
+				bust: (new Date()).getTime()
+			};
+
+			if (that.session) {
+				params.publicKey = that.session.publicKey;
+			}
+
+			that.requestMetadata(params, callback);
+		});
+	});
+};
+
+/**
+ * Reads the file's metadata from the offline store, along with
+ * the session which its keys are wrapped for, and passes whether
+ * it was found to the callback.
+ */
+Reader.prototype.readStoredMetadata = function (callback) {
+	var that = this;
+	var store = this.manager.store;
+
+	if (!store) {
+		return callback(false);
+	}
+
+	store.getManifest(this.path, function (error, record) {
+		if (that.destroyed) {
+			return;
+		}
+
+		if (error || !record) {
+			return callback(false);
+		}
+
+		if (record.session) {
+			that.session = new Session(record.session.keyPair, record.session.publicKey);
+		}
+
+		var invalid = that.parseMetadata(record.metadata);
+
+		if (invalid) {
+			return that.failMetadata(invalid, function () {
+				that.fetchMetadata(callback);
+			});
+		}
+
+		callback(true);
+	});
+};
+
+/**
+ * Generates the ephemeral key pair used to unwrap the keys,
+ * if the player asked for wrapped keys.
+ */
+Reader.prototype.createSession = function (callback) {
+	var that = this;
+
+	if (!that.player.wrapKeys) {
+		return callback();
+	}
+
+	Session.create(function (error, session) {
+		if (that.destroyed) {
+			return;
+		}
+
+		if (error) {
+			that.metadataError = {kind: 'metadata', code: Errors.MediaError.MEDIA_ERR_ENCRYPTED, message: error.message, error: {message: error.message}};
+			that.fail(that.metadataError, function () {
+				that.createSession(callback);
+			});
+			return;
+		}
+
+		that.session = session;
+		callback();
+	});
+};
+
+/**
+ * Requests the file's metadata with the given parameters.
+ */
+Reader.prototype.requestMetadata = function (params, callback) {
+	var that = this;
+
+	if (HLS.isPlaylist(this.path)) {
+		return that.requestPlaylist(params, callback);
+	}
+
+	Network.get(this.path, this.requestOptions('json', params), function (error, metadata) {
+		if (that.destroyed) {
+			return;
+		}
+
+		if (error) {
+			that.failMetadata(error, function () {
+				that.requestMetadata(params, callback);
+			});
+			return;
+		}
+
+		var invalid = that.parseMetadata(metadata);
+
+		if (invalid) {
+			return that.failMetadata(invalid, function () {
+				that.requestMetadata(params, callback);
+			});
+		}
+
+		callback();
+	});
+};
+
+/**
+ * Requests the file's HLS playlist, along with the playlists of its
+ * variants, and reads them as the file's metadata.
+ */
+Reader.prototype.requestPlaylist = function (params, callback) {
+	var that = this;
+
+	var retry = function () {
+		that.requestPlaylist(params, callback);
+	};
+
+	var fetch = function (url, done) {
+		Network.get(url, that.requestOptions('text', params), done);
+	};
+
+	fetch(this.path, function (error, text) {
+		if (that.destroyed) {
+			return;
+		}
+
+		if (error) {
+			return that.failMetadata(error, retry);
+		}
+
+		HLS.load(text, that.path, fetch, function (error, manifest) {
+			if (that.destroyed) {
+				return;
+			}
+
+			if (error) {
+				return that.failMetadata(error, retry);
+			}
+
+			var invalid = that.parseMetadata(manifest);
+
+			if (invalid) {
+				return that.failMetadata(invalid, retry);
+			}
+
+			callback();
+		});
+	});
+};
+
+/**
+ * Stops the reader once the metadata could not be fetched or read.
+ */
+Reader.prototype.failMetadata = function (error, retry) {
+	// Client errors and invalid metadata won't go away by retrying later.
+	var code = Network.isTransient(error.status) ? Errors.MediaError.MEDIA_ERR_NETWORK : Errors.MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED;
+
+	this.metadataError = {kind: 'metadata', code: code, status: error.status, message: error.message, error: error.body || {message: error.message}};
+	this.fail(this.metadataError, retry);
+};
+
+/**
+ * Returns why a fragment of the metadata cannot be played, if one
+ * of its renditions uses an unknown cipher or lacks its IV, or
+ * declares trims without the sample rate they are counted at.
+ */
+function checkFragment(fragment) {
+	var unsupported = _.find(fragment.renditions, function (rendition) { return CIPHERS.indexOf(rendition.cipher) === -1; });
+
+	if (unsupported) {
+		return 'Unsupported cipher: ' + unsupported.cipher + '.';
+	}
+
+	if (_.some(fragment.renditions, function (rendition) { return rendition.cipher !== Backend.CIPHER_NONE && !rendition.iv; })) {
+		return 'Missing IV.';
+	}
+
+	// The decoded audio is resampled to the rate of the AudioContext,
+	// so trims are counted at the original rate of the rendition.
+	if (_.some(fragment.renditions, function (rendition) { return (rendition.priming || rendition.padding) && !rendition.sampleRate; })) {
+		return 'Missing sample rate of the priming and padding.';
+	}
+
+	return null;
+}
+
+/**
+ * Reads the fragments and the duration of the file from its metadata.
+ *
+ * Returns an error, and leaves the reader as it was, if the metadata
+ * has fragments which cannot be played, see checkFragment.
+ */
+Reader.prototype.parseMetadata = function (metadata) {
+	var that = this;
+	var fragments = [];
+
+	$.each(metadata.fragments, function (index, fragment) {
+		fragments.push({
+			buffer: null,
+			rendition: null, // The rendition which was fetched
+			renditions: that.parseRenditions(fragment),
+			peaks: null,     // The peaks of the decoded audio, kept once evicted
+			loading: null,   // The callbacks waiting for the fragment while it loads
+			duration: fragment.duration || null,
+			declared: !!fragment.duration
+		});
+	});
+
+	for (var i = 0; i < fragments.length; i++) {
+		var reason = checkFragment(fragments[i]);
+
+		if (reason) {
+			return {message: 'Invalid fragment ' + i + ' in the metadata. ' + reason};
+		}
+	}
+
+	that.metadata = metadata;
+	that.duration = metadata.duration;
+	that.wrapping = metadata.wrapping || null;
+	that.fragments = fragments;
+
+	that.renditions = that.listRenditions();
+	that.computeOffsets();
+
+	if (!that.duration) {
+		that.duration = that.offsets[that.fragments.length];
+	}
+
+	return null;
+};
+
+/**
+ * Returns the renditions of a fragment, each with its `path`, MIME
+ * `type`, `codec`, `bitrate` (in bits per second) and decryption
+ * parameters, whose `cipher` defaults to the one of the fragment.
+ *
+ * Renditions are either listed in `renditions`, with a MIME `type`
+ * or a `codec` name, or in `types`, which maps MIME types to a path
+ * or to the fields of the rendition. Older manifests only have a
+ * Vorbis version at `vpath` and an MP3 version at `mpath`.
+ */
+Reader.prototype.parseRenditions = function (fragment) {
+	var renditions = fragment.renditions;
+
+	if (!renditions && fragment.types) {
+		renditions = $.map(fragment.types, function (rendition, type) {
+			return _.extend({type: type}, typeof rendition === 'string' ? {path: rendition} : rendition);
+		});
+	}
+
+	// AES-GCM fragments may use a distinct IV and tag for each version.
+	if (!renditions) {
+		renditions = [
+			{path: fragment.vpath, type: CODEC_TYPES.vorbis, iv: fragment.viv, tag: fragment.vtag},
+			{path: fragment.mpath, type: CODEC_TYPES.mp3, iv: fragment.miv, tag: fragment.mtag}
+		];
+	}
+
+	return renditions.map(function (rendition) {
+		var type = rendition.type || CODEC_TYPES[rendition.codec];
+
+		return {
+			path: rendition.path,
+			type: type,
+			codec: rendition.codec || codecName(type),
+			bitrate: rendition.bitrate || 0,
+			cipher: rendition.cipher || fragment.cipher || Backend.CIPHER_CBC,
+			kid: rendition.kid || fragment.kid,
+			key: rendition.key || fragment.key,
+			keyUri: rendition.keyUri || fragment.keyUri || null,
+			iv: rendition.iv || fragment.iv,
+			tag: rendition.tag || fragment.tag,
+			priming: rendition.priming || fragment.priming || 0,
+			padding: rendition.padding || fragment.padding || 0,
+			sampleRate: rendition.sampleRate || fragment.sampleRate || null
+		};
+	}).filter(function (rendition) {
+		return rendition.path && rendition.type;
+	});
+};
+
+/**
+ * Returns the rank of a MIME type in the order of preference of
+ * the player, which lists codec names or MIME types.
+ */
+Reader.prototype.getTypeRank = function (type) {
+	var codecs = this.player.codecs;
+
+	for (var i = 0; i < codecs.length; i++) {
+		if (codecs[i] === type || CODEC_TYPES[codecs[i]] === type) {
+			return i;
+		}
+	}
+
+	return codecs.length;
+};
+
+/**
+ * Returns the renditions of a given fragment which the browser
+ * claims it can play, or all of them if it claims it can play none,
+ * leaving out those which already failed to decode.
+ */
+Reader.prototype.getPlayableRenditions = function (number) {
+	var that = this;
+
+	var renditions = this.fragments[number].renditions.filter(function (rendition) {
+		return !that.undecodable[rendition.type];
+	});
+
+	var playable = renditions.filter(function (rendition) {
+		return that.queue.canPlayType(rendition.type);
+	});
+
+	return playable.length ? playable : renditions;
+};
+
+/**
+ * Returns the distinct bitrates of the renditions of the fragments,
+ * in increasing order, each with the preferred codec at that bitrate.
+ */
+Reader.prototype.listRenditions = function () {
+	var that = this;
+	var levels = {};
+
+	$.each(this.fragments, function (number) {
+		$.each(that.getPlayableRenditions(number), function (index, rendition) {
+			var level = levels[rendition.bitrate];
+
+			if (!level || that.getTypeRank(rendition.type) < that.getTypeRank(level.type)) {
+				levels[rendition.bitrate] = {bitrate: rendition.bitrate, codec: rendition.codec, type: rendition.type};
+			}
+		});
+	});
+
+	return _.sortBy(_.values(levels), 'bitrate');
+};
+
+/**
+ * Returns the rendition of a given fragment for a given level, which
+ * is the one with the highest bitrate up to that of the level, or the
+ * lowest bitrate if none fits, and the preferred codec at that bitrate.
+ */
+Reader.prototype.getRendition = function (number, level) {
+	var bitrate = this.renditions[level] ? this.renditions[level].bitrate : 0;
+	var renditions = this.getPlayableRenditions(number);
+	var chosen = null;
+
+	for (var i = 0; i < renditions.length; i++) {
+		var rendition = renditions[i];
+
+		if (!chosen) {
+			chosen = rendition;
+			continue;
+		}
+
+		var fits = rendition.bitrate <= bitrate;
+
+		if (fits !== (chosen.bitrate <= bitrate)) {
+			if (fits) {
+				chosen = rendition;
+			}
+		} else if (rendition.bitrate !== chosen.bitrate) {
+			if (fits ? rendition.bitrate > chosen.bitrate : rendition.bitrate < chosen.bitrate) {
+				chosen = rendition;
+			}
+		} else if (this.getTypeRank(rendition.type) < this.getTypeRank(chosen.type)) {
+			chosen = rendition;
+		}
+	}
+
+	return chosen;
+};
+
+/**
+ * Returns the index of the highest rendition allowed by the
+ * bitrate cap, if any.
+ */
+Reader.prototype.getMaxLevel = function () {
+	var max = 0;
+
+	for (var i = 1; i < this.renditions.length; i++) {
+		if (this.renditions[i].bitrate <= this.maxBitrate) {
+			max = i;
+		}
+	}
+
+	return max;
+};
+
+/**
+ * Returns the index of the rendition to fetch the next fragment with,
+ * given the measured throughput and the buffered duration.
+ */
+Reader.prototype.chooseLevel = function () {
+	var current = this.level === null ? 0 : this.level;
+	var max = this.getMaxLevel();
+
+	if (this.pinnedLevel !== null) {
+		return Math.min(this.pinnedLevel, this.renditions.length - 1);
+	}
+
+	// Start with the lowest rendition until the throughput is known.
+	if (this.throughput === null) {
+		return Math.min(current, max);
+	}
+
+	// Faster playback drains the buffer faster, and needs a higher
+	// throughput for the same bitrate.
+	var rate = this.player.playbackRate;
+	var buffered = this.getBufferLevel() / rate;
+	var budget = this.throughput * (buffered < LOW_BUFFER ? LOW_BUFFER_SAFETY : BANDWIDTH_SAFETY) / rate;
+	var level = 0;
+
+	for (var i = 1; i <= max; i++) {
+		if (this.renditions[i].bitrate <= budget) {
+			level = i;
+		}
+	}
+
+	// Switch down right away, but up one rendition at a time.
+	if (level > current) {
+		level = buffered >= HIGH_BUFFER ? current + 1 : current;
+	}
+
+	return level;
+};
+
+/**
+ * Selects the rendition to fetch a given fragment with, and
+ * dispatches a `renditionchange` event if it changes.
+ */
+Reader.prototype.selectRendition = function (number) {
+	var level = this.chooseLevel();
+
+	if (level !== this.level && this.renditions[level]) {
+		this.level = level;
+		this.player.emit('renditionchange', {
+			fragment: number,
+			level: level,
+			bitrate: this.renditions[level].bitrate,
+			codec: this.renditions[level].codec
+		});
+	}
+
+	return this.getRendition(number, level);
+};
+
+/**
+ * Returns the duration of the audio which is loaded ahead of the
+ * playhead, in seconds.
+ */
+Reader.prototype.getBufferLevel = function () {
+	var buffered = -this.queue.elapsed();
+
+	for (var n = this.currentFragmentNumber; n < this.fragments.length && this.isFragmentLoaded(n); n++) {
+		buffered += this.getFragmentDuration(n);
+	}
+
+	return Math.max(0, buffered);
+};
+
+/**
+ * Updates the average throughput with a download of `bytes`
+ * bytes which took `time` milliseconds.
+ */
+Reader.prototype.measureThroughput = function (bytes, time) {
+	if (time <= 0) {
+		return;
+	}
+
+	var sample = bytes * 8 * 1000 / time;
+
+	if (this.throughput === null) {
+		this.throughput = sample;
+	} else {
+		this.throughput = THROUGHPUT_WEIGHT * sample + (1 - THROUGHPUT_WEIGHT) * this.throughput;
+	}
+};
+
+/**
+ * Returns the options of the requests made by the reader,
+ * as configured on the player.
+ */
+Reader.prototype.requestOptions = function (responseType, params) {
+	return {
+		responseType: responseType,
+		params: params,
+		timeout: this.player.timeout,
+		retries: this.player.retries,
+		retryDelay: this.player.retryDelay,
+		maxRetryDelay: this.player.maxRetryDelay
+	};
+};
+
+/**
+ * Stops the reader once a request failed for good, and dispatches
+ * the error, whose detail holds a MediaError `code`. The `retry`
+ * function resumes the failed request when recovering.
+ */
+Reader.prototype.fail = function (detail, retry) {
+	this.error = new Errors.MediaError(detail.code, detail.message);
+	this.retries.push(retry);
+	this.player.emit('error', detail);
+};
+
+/**
+ * Resumes the failed requests, e.g. once the network is back, so
+ * that the playback resumes from the point where it stopped.
+ */
+Reader.prototype.recover = function () {
+	var retries = this.retries;
+
+	if (!this.error) {
+		return;
+	}
+
+	this.error = null;
+	this.metadataError = null;
+	this.retries = [];
+
+	for (var i = 0; i < retries.length; i++) {
+		retries[i]();
+	}
+};
+
+/**
+ * Returns the duration of a given fragment, as declared in the
+ * metadata or measured, and estimated otherwise.
+ */
+Reader.prototype.getFragmentDuration = function (number) {
+	return this.fragments[number].duration || FRAGMENT_DURATION;
+};
+
+/**
+ * Returns the durations of the encoder priming and padding of a
+ * given loaded fragment, which are declared in the metadata as a
+ * number of samples at the original sample rate of its rendition.
+ */
+Reader.prototype.getFragmentTrims = function (number) {
+	var fragment = this.fragments[number];
+	var rendition = fragment.rendition;
+
+	if (!rendition.priming && !rendition.padding) {
+		return {start: 0, end: 0};
+	}
+
+	return {
+		start: rendition.priming / rendition.sampleRate,
+		end: rendition.padding / rendition.sampleRate
+	};
+};
+
+/**
+ * Computes the cumulative offset table of the fragments.
+ */
+Reader.prototype.computeOffsets = function () {
+	this.offsets = [0];
+
+	for (var i = 0; i < this.fragments.length; i++) {
+		this.offsets.push(this.offsets[i] + this.getFragmentDuration(i));
+	}
+};
+
+/**
+ * Returns the time at which a given fragment starts.
+ */
+Reader.prototype.getFragmentOffset = function (number) {
+	if (number < this.offsets.length) {
+		return this.offsets[number];
+	}
+
+	// The metadata is not available yet.
+	return number * FRAGMENT_DURATION;
+};
+
+/**
+ * Returns the fragment number associated with a time.
+ */
+Reader.prototype.getFragmentNumber = function (time) {
+	if (!this.fragments.length) {
+		return Math.floor(time / FRAGMENT_DURATION);
+	}
+
+	var low = 0;
+	var high = this.fragments.length - 1;
+
+	// Find the last fragment starting at or before the time.
+	while (low < high) {
+		var middle = Math.ceil((low + high) / 2);
+
+		if (this.offsets[middle] <= time) {
+			low = middle;
+		} else {
+			high = middle - 1;
+		}
+	}
+
+	return low;
+};
+
+/**
+ * Decodes the given ArrayBuffer, using the cipher declared in the
+ * metadata of the fetched rendition or of the fragment (AES-CBC
+ * unless stated otherwise), and passes the result to the callback.
+ *
+ * With AES-CTR, the fragment's `iv` is the initial counter block.
+ * With AES-GCM, the fragment's `tag` authenticates the content, and
+ * null is passed if the fragment was corrupted or tampered with.
+ */
+Reader.prototype.decodeFragment = function (number, encodedRawBuffer, callback) {
+	var that = this;
+	var fragment = this.fragments[number];
+	var cipher = fragment.rendition.cipher;
+
+	if (fragment.decoded || cipher === Backend.CIPHER_NONE) {
+		return callback(encodedRawBuffer);
+	}
+
+	that.resolveKey(number, function (hexKey) {
+		var key = Backend.fromHex(hexKey);
+		var iv  = Backend.fromHex(fragment.rendition.iv);
+		var tag = Backend.fromHex(fragment.rendition.tag || '');
+
+		// Decrypt off the main thread whenever the manager has workers.
+		var decrypter = that.manager.pool || Backend;
+
+		decrypter.decrypt(cipher, encodedRawBuffer, key, iv, tag, function (decodedRawBuffer) {
+			if (that.destroyed) {
+				return;
+			}
+
+			callback(decodedRawBuffer);
+		});
+	});
+};
+
+/**
+ * Passes the hex key of a given fragment to the callback,
+ * requesting it from the license endpoint when the manifest
+ * only lists its key ID, or from its key URI for HLS.
+ */
+Reader.prototype.resolveKey = function (number, callback) {
+	var that = this;
+	var fragment = this.fragments[number].rendition;
+
+	var retry = function () {
+		that.resolveKey(number, callback);
+	};
+
+	if (fragment.keyUri) {
+		return that.fetchKey(number, fragment.keyUri, callback);
+	}
+
+	if (!fragment.kid) {
+		return that.unwrapKey(number, fragment.key, callback);
+	}
+
+	if (!that.license) {
+		that.fail({kind: 'license', code: Errors.MediaError.MEDIA_ERR_ENCRYPTED, fragment: number, kid: fragment.kid, status: 0, message: 'No license endpoint configured.'}, retry);
+		return;
+	}
+
+	that.license.getKey(fragment.kid, function (error, key) {
+		if (that.destroyed) {
+			return;
+		}
+
+		// The license endpoint may be unreachable, rather than deny the license.
+		if (error && Network.isTransient(error.status)) {
+			that.fail(_.extend({kind: 'network', code: Errors.MediaError.MEDIA_ERR_NETWORK, fragment: number}, error), retry);
+			return;
+		}
+
+		if (error) {
+			that.fail(_.extend({kind: 'license', code: Errors.MediaError.MEDIA_ERR_ENCRYPTED, fragment: number}, error), retry);
+			return;
+		}
+
+		callback(key);
+	});
+};
+
+/**
+ * Passes the hex key at a given URI to the callback, which is
+ * fetched once for all the fragments sharing it.
+ */
+Reader.prototype.fetchKey = function (number, uri, callback) {
+	var that = this;
+	var entry = that.keys[uri];
+
+	if (entry && entry.key) {
+		return callback(entry.key);
+	}
+
+	// The key is already being fetched for another fragment.
+	if (entry) {
+		return entry.callbacks.push(callback);
+	}
+
+	entry = that.keys[uri] = {key: null, callbacks: [callback]};
+
+	Network.get(uri, that.requestOptions('arraybuffer'), function (error, data) {
+		var callbacks = entry.callbacks;
+
+		if (that.destroyed) {
+			return;
+		}
+
+		if (!error && data.byteLength !== 16) {
+			error = {status: 0, message: 'AES-128 keys must be 16 bytes long.'};
+		}
+
+		if (error) {
+			delete that.keys[uri];
+
+			that.fail({kind: 'license', code: Errors.MediaError.MEDIA_ERR_ENCRYPTED, fragment: number, status: error.status, message: error.message}, function () {
+				callbacks.forEach(function (callback) {
+					that.fetchKey(number, uri, callback);
+				});
+			});
+			return;
+		}
+
+		entry.key = Backend.toHex(data);
+		entry.callbacks = [];
+
+		callbacks.forEach(function (callback) {
+			callback(entry.key);
+		});
+	});
+};
+
+/**
+ * Passes the plain hex key to the callback, unwrapping it
+ * with the session key if the manifest keys are wrapped.
+ */
+Reader.prototype.unwrapKey = function (number, key, callback) {
+	var that = this;
+
+	var retry = function () {
+		that.unwrapKey(number, key, callback);
+	};
+
+	if (!that.wrapping) {
+		return callback(key);
+	}
+
+	if (!that.session) {
+		that.fail({kind: 'license', code: Errors.MediaError.MEDIA_ERR_ENCRYPTED, fragment: number, status: 0, message: 'Wrapped keys were received without a session.'}, retry);
+		return;
+	}
+
+	that.session.unwrapKey(that.wrapping.publicKey, key, function (error, plainKey) {
+		if (that.destroyed) {
+			return;
+		}
+
+		if (error) {
+			that.fail({kind: 'license', code: Errors.MediaError.MEDIA_ERR_ENCRYPTED, fragment: number, status: 0, message: error.message}, retry);
+			return;
+		}
+
+		callback(plainKey);
+	});
+};
+
+/**
+ * Fetches a given fragment, decodes it, and passes
+ * the binary data to the callback.
  */
 Reader.prototype.fetchFragment = function (number, callback) {
 	var that = this;
-	var request = new XMLHttpRequest();
+	var rendition = that.selectRendition(number);
+
+	var retry = function () {
+		that.fetchFragment(number, callback);
+	};
+
+	if (!rendition) {
+		that.fail({kind: 'decode', code: Errors.MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED, fragment: number, message: 'No rendition of the fragment can be played.'}, retry);
+		return;
+	}
+
+	that.fragments[number].rendition = rendition;
+
+	that.requestFragment(rendition.path, function (error, encodedRawBuffer) {
+		if (that.destroyed) {
+			return;
+		}
+
+		if (error) {
+			that.fail({kind: 'network', code: Errors.MediaError.MEDIA_ERR_NETWORK, fragment: number, status: error.status, message: error.message}, retry);
+			return;
+		}
+
+		that.decodeFragment(number, encodedRawBuffer, function (decodedRawBuffer) {
+			// Never pass a fragment which failed verification to the decoder.
+			if (decodedRawBuffer === null) {
+				that.fail({kind: 'integrity', code: Errors.MediaError.MEDIA_ERR_DECODE, fragment: number, message: 'The fragment failed verification.'}, retry);
+				return;
+			}
+
+			callback(number, decodedRawBuffer);
+		});
+	});
+};
+
+/**
+ * Passes the encrypted data of the fragment at a given path to the
+ * callback as (error, data), reading it from the offline store if
+ * the file was downloaded, and from the network otherwise.
+ */
+Reader.prototype.requestFragment = function (path, callback) {
+	var that = this;
+	var store = this.manager.store;
+
+	var fetch = function () {
+		var start = Date.now();
+
+		Network.get(path, that.requestOptions('arraybuffer'), function (error, data) {
+			if (that.destroyed) {
+				return;
+			}
+
+			// A failed download means that the network got slower, so that
+			// the next attempt may fetch a lower rendition.
+			if (error) {
+				that.throughput = that.throughput === null ? null : that.throughput / 2;
+			} else {
+				that.measureThroughput(data.byteLength, Date.now() - start);
+			}
+
+			callback(error, data);
+		});
+	};
+
+	if (!store) {
+		return fetch();
+	}
+
+	store.getFragment(path, function (error, data) {
+		if (that.destroyed) {
+			return;
+		}
+
+		if (error || !data) {
+			return fetch();
+		}
+
+		callback(null, data);
+	});
+};
+
+/**
+ * Saves the metadata and the encrypted fragments into the offline
+ * store, skipping the fragments which are already stored. Calls
+ * `progress(loaded, total)` after each fragment, then passes any
+ * error to the callback.
+ *
+ * Only the pinned rendition, or the highest allowed, is saved, and
+ * the saved metadata only lists that rendition. An AbortError is
+ * passed if the reader is destroyed in the meantime.
+ *
+ * The metadata must be fetched beforehand.
+ */
+Reader.prototype.download = function (progress, callback) {
+	var that = this;
+	var store = this.manager.store;
+	var total = this.fragments.length;
+	var level = this.pinnedLevel !== null ? this.pinnedLevel : this.getMaxLevel();
+	var fragments = [];
+	var number = 0;
+
+	// Wrapped keys can only be unwrapped by the session they were wrapped for.
+	var session = this.session ? {keyPair: this.session.keyPair, publicKey: this.session.publicKey} : null;
+
+	function next() {
+		if (that.destroyed) {
+			return callback(new Errors.AbortError('The player was destroyed during the download.'));
+		}
+
+		if (number >= total) {
+			return store.putManifest(that.path, _.extend({}, that.metadata, {fragments: fragments}), session, callback);
+		}
+
+		var rendition = that.getRendition(number, level);
+
+		if (!rendition) {
+			return callback(new Errors.MediaError(Errors.MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED, 'No rendition of the fragment can be played.'));
+		}
+
+		var path = rendition.path;
+
+		fragments.push(_.extend({}, that.metadata.fragments[number], {renditions: [rendition]}));
+
+		store.hasFragment(path, function (error, found) {
+			if (error) {
+				return callback(error);
+			}
+
+			if (found) {
+				return stored();
+			}
+
+			Network.get(path, that.requestOptions('arraybuffer'), function (error, data) {
+				if (error) {
+					return callback(new Errors.MediaError(Errors.MediaError.MEDIA_ERR_NETWORK, error.message));
+				}
+
+				store.putFragment(that.path, path, data, function (error) {
+					if (error) {
+						return callback(error);
+					}
+
+					stored();
+				});
+			});
+		});
+	}
+
+	function stored() {
+		progress(++number, total);
+		next();
+	}
+
+	next();
+};
+
+/**
+ * Checks whether a given fragment is loaded into memory.
+ */
+Reader.prototype.isFragmentLoaded = function (number) {
+	return this.fragments[number].buffer !== null;
+}
+
+/**
+ * Checks whether a given fragment must stay in memory, because
+ * it is close to the playhead or about to be played.
+ */
+Reader.prototype.isFragmentNeeded = function (number) {
+	var current = this.currentFragmentNumber;
+
+	if (number >= current - KEEP_BEHIND && number <= current + KEEP_AHEAD) {
+		return true;
+	}
+
+	// The fragments of the loop region are pinned while it is active.
+	var bounds = this.getLoopBounds();
+
+	if (bounds && this.player.looping.region && number >= bounds.first && number <= bounds.last) {
+		return true;
+	}
+
+	return !!(_.find(this.queue.sources, {number: number}) || _.find(this.deferred, {number: number}));
+};
+
+/**
+ * Releases the decoded audio of a given fragment, which will
+ * be fetched again if needed.
+ */
+Reader.prototype.evictFragment = function (number) {
+	this.fragments[number].buffer = null;
+};
+
+/**
+ * Loads a given fragment into memory.
+ */
+Reader.prototype.loadFragment = function (number, callback) {
+	// Maybe the fragment doesn't exist?
+	if (!this.fragments || !this.fragments.length)
+		console.log('no fragments');
+	if (number >= this.fragments.length) {
+		return;
+	}
+
+	// Maybe the fragment was already loaded, and is still cached?
+	if (this.manager.cache.use(this, number)) {
+		callback(number);
+		return;
+	}
+
+	var fragment = this.fragments[number];
+
+	// Maybe the fragment is being loaded already, e.g. for the
+	// playback which a seek interrupted?
+	if (fragment.loading) {
+		fragment.loading.push(callback);
+		return;
+	}
+
+	fragment.loading = [callback];
+
+	this.readFragment(number, function () {
+		var callbacks = fragment.loading;
+
+		fragment.loading = null;
+
+		for (var i = 0; i < callbacks.length; i++) {
+			callbacks[i](number);
+		}
+	});
+};
+
+/**
+ * Fetches and decodes a given fragment, falling back to its other
+ * codecs if it cannot be decoded, then calls the callback.
+ */
+Reader.prototype.readFragment = function (number, callback) {
+	var that = this;
+
+	that.fetchFragment(number, function (number, decodedRawBuffer) {
+		that.queue.decode(decodedRawBuffer, function (audioBuffer) {
+			var trims;
+
+			if (that.destroyed) {
+				return;
+			}
+
+			that.fragments[number].buffer = audioBuffer;
+			that.manager.cache.add(that, number, audioBuffer);
+
+			// Undeclared durations are measured on the decoded audio.
+			if (!that.fragments[number].declared) {
+				trims = that.getFragmentTrims(number);
+
+				that.fragments[number].duration = audioBuffer.duration - trims.start - trims.end;
+				that.computeOffsets();
+			}
+
+			// Fragments played by a media element are never decoded.
+			if (!that.fragments[number].peaks && audioBuffer.getChannelData) {
+				that.fragments[number].peaks = computePeaks(audioBuffer, trims || that.getFragmentTrims(number));
+			}
+
+			that.player.emit('progress', {fragment: number});
+
+			callback();
+		}, function () {
+			if (that.destroyed) {
+				return;
+			}
+
+			var type = that.fragments[number].rendition.type;
+
+			// Fall back to the next codec, if the fragment has another one.
+			that.undecodable[type] = true;
+
+			if (that.getPlayableRenditions(number).length) {
+				that.renditions = that.listRenditions();
+				that.level = null;
+				that.readFragment(number, callback);
+				return;
+			}
+
+			delete that.undecodable[type];
+
+			that.fail({kind: 'decode', code: Errors.MediaError.MEDIA_ERR_DECODE, fragment: number, message: 'The fragment could not be decoded.'}, function () {
+				that.readFragment(number, callback);
+			});
+		});
+	});
+};
+
+/**
+ * Schedules the given fragment to start playing right
+ * after the current one.
+ *
+ * The fragment must already be loaded into memory.
+ */
+Reader.prototype.scheduleFragment = function (number, offset) {
+	// console.log('Scheduling fragment ' + number + ' with offset ' + offset);
+
+	var that = this;
+
+	that.queue.push(that.fragments[number].buffer, number, function (source) {
+		var trims = that.getFragmentTrims(number);
+
+		// Skip the encoder priming and padding, for gapless playback.
+		source.trimStart = trims.start;
+		source.trimEnd = trims.end;
+
+		source.endCallback = function () {
+			console.log('endCallback called for fragment ', number);
+			var next = that.getNextFragment(number);
+
+			that.currentFragmentNumber = next ? next.number : number + 1;
+
+			// Maybe we don't have any fragments left to queue?
+			if (!next) {
+				that.queue.pause();
+				that.queue.state = STATE_FINISHED;
+				that.player.emit('ended');
+				return;
+			}
+			
+			// Make sure we load the n + 2 fragment when this one ends.
+			that.loadAndScheduleAfter(number, 2);
+		};
+
+		// Maybe we must start playing the fragment with a given offset?
+		if (offset) {
+			// console.log('startsFrom set to', offset);
+			source.startsFrom = offset;
+		}
+
+		that.applyLoop(source);
+	});
+};
+
+/**
+ * Returns the loop of the player, as the `start` and `end` times
+ * of the loop region or of the whole track, and the `first` and
+ * `last` fragments it spans, or null if the player does not loop.
+ */
+Reader.prototype.getLoopBounds = function () {
+	var looping = this.player.looping;
+
+	if (!this.fragments.length || (!looping.region && !looping.track)) {
+		return null;
+	}
+
+	var duration = this.getFragmentOffset(this.fragments.length);
+	var start = looping.region ? Math.max(0, looping.region.start) : 0;
+	var end = looping.region ? Math.min(looping.region.end, duration) : duration;
+
+	if (end <= start) {
+		return null;
+	}
+
+	var first = this.getFragmentNumber(start);
+	var last = this.getFragmentNumber(end);
+
+	// A region ending right at the start of a fragment does not span it.
+	if (last > first && this.getFragmentOffset(last) >= end) {
+		last--;
+	}
+
+	return {start: start, end: end, first: first, last: last};
+};
+
+/**
+ * Returns the fragment to play after a given one, as its `number`
+ * and the `offset` to start it from, or null if the track ends.
+ * The fragment is the first one of the loop once its last one ends.
+ */
+Reader.prototype.getNextFragment = function (number) {
+	var bounds = this.getLoopBounds();
+
+	if (bounds && number === bounds.last) {
+		return {number: bounds.first, offset: bounds.start - this.getFragmentOffset(bounds.first)};
+	}
+
+	if (number + 1 < this.fragments.length) {
+		return {number: number + 1, offset: 0};
+	}
+
+	return null;
+};
+
+/**
+ * Checks whether a given fragment is one of the next fragments
+ * to play, in the order of the loop if any.
+ */
+Reader.prototype.isFragmentUpcoming = function (number) {
+	var next = this.getNextFragment(this.currentFragmentNumber);
+
+	for (var i = 0; next && i < KEEP_AHEAD; i++) {
+		if (next.number === number) {
+			return true;
+		}
+
+		next = this.getNextFragment(next.number);
+	}
+
+	return false;
+};
+
+/**
+ * Sets the end or the loop points of a source, if its fragment
+ * is the last one of the loop. Loops within a single fragment use
+ * the loop points of the node, and other loops go back to their
+ * first fragment once the last one ends.
+ */
+Reader.prototype.applyLoop = function (source) {
+	var bounds = this.getLoopBounds();
+	var offset = this.getFragmentOffset(source.number);
+
+	source.until = null;
+	source.loop = null;
+
+	if (!bounds || source.number !== bounds.last) {
+		return;
+	}
+
+	if (bounds.first === bounds.last) {
+		source.loop = {start: bounds.start - offset, end: bounds.end - offset};
+	} else if (bounds.end - offset > source.startsFrom) {
+		source.until = bounds.end - offset;
+	}
+};
+
+/**
+ * Applies a change of the loop to the queued sources: the current
+ * source takes its new end or loop points from its current position,
+ * and the following ones are scheduled again.
+ */
+Reader.prototype.updateLoop = function () {
+	var queue = this.queue;
+
+	if (queue.isEmpty()) {
+		return;
+	}
+
+	var source = queue.first();
+	var currentTime = this.context.currentTime;
+
+	while (queue.sources.length > 1) {
+		queue.sources.pop().destroy();
+	}
+
+	this.deferred = [];
+	this.generation++;
+
+	if (source.isPlaying()) {
+		// The new node starts exactly where the previous one stops.
+		source.rebase();
+		this.applyLoop(source);
+		source.replaceNode(0);
+	} else {
+		source.cancel();
+		this.applyLoop(source);
+	}
+
+	queue.tick();
+
+	this.loadAndScheduleAfter(source.number, 1);
+};
+
+/**
+ * Loads and schedules a given fragment, unless the scheduled
+ * fragments are dropped while it loads.
+ */
+Reader.prototype.loadAndScheduleFragment = function (number, offset, callback) {
+	callback = callback || function () {};
+	var that = this;
+	var generation = that.generation;
+
+	that.loadFragment(number, function () {
+		that.deferred.push({number: number, offset: offset, callback: callback, generation: generation});
+		that.scheduleDeferred();
+	});
+};
+
+/**
+ * Loads and schedules the fragment which plays `count` fragments
+ * after a given one, if any.
+ */
+Reader.prototype.loadAndScheduleAfter = function (number, count) {
+	var next = {number: number, offset: 0};
+
+	for (var i = 0; next && i < count; i++) {
+		next = this.getNextFragment(next.number);
+	}
+
+	if (next) {
+		this.loadAndScheduleFragment(next.number, next.offset);
+	}
+};
+
+/**
+ * Schedules the loaded fragments in order: as fragments may load
+ * out of order, e.g. when a request is retried or when renditions
+ * of different sizes are fetched, each one waits for the previous
+ * fragment to be scheduled.
+ *
+ * This also covers failed fragments: rather than holding back the
+ * fragments after the first one which failed, every loaded fragment
+ * waits for its predecessor, so that those following a failed one
+ * are scheduled once its retry loads it.
+ *
+ * Fragments whose load started before the scheduled fragments were
+ * last dropped, e.g. by a seek, are dropped too, and so are those
+ * which are no longer upcoming.
+ */
+Reader.prototype.scheduleDeferred = function () {
+	var generation = this.generation;
+	var deferred = _.sortBy(this.deferred.filter(function (entry) {
+		return entry.generation === generation;
+	}), 'number');
+	var queue = this.queue;
+
+	this.deferred = [];
+
+	// As a loop goes back to a lower fragment number, the list is
+	// walked again from the start once a fragment is scheduled.
+	for (var i = 0; i < deferred.length; i++) {
+		var number = deferred[i].number;
+		var last = queue.last();
+
+		var following = last && this.getNextFragment(last.number);
+		var scheduled = !!_.find(queue.sources, {number: number});
+		var next = last ? !!following && following.number === number : number === this.currentFragmentNumber;
+
+		if (scheduled || next) {
+			var entry = deferred.splice(i, 1)[0];
+
+			this.scheduleFragment(number, entry.offset);
+			entry.callback();
+			i = -1;
+		}
+	}
+
+	this.deferred = this.deferred.concat(deferred.filter(function (entry) {
+		return this.isFragmentUpcoming(entry.number);
+	}, this));
+};
+
+/**
+ * Returns the lowest and highest sample of the track over
+ * `resolution` bins of equal duration, as Float32Arrays `min` and
+ * `max`, from the peaks of the fragments decoded so far. The bins
+ * of the other fragments are zero.
+ */
+Reader.prototype.getPeaks = function (resolution) {
+	var min = new Float32Array(resolution);
+	var max = new Float32Array(resolution);
+	var duration = this.getFragmentOffset(this.fragments.length);
+
+	for (var i = 0; i < resolution && this.fragments.length; i++) {
+		var start = i * duration / resolution;
+		var end = (i + 1) * duration / resolution;
+
+		for (var n = this.getFragmentNumber(start); n < this.fragments.length && this.getFragmentOffset(n) < end; n++) {
+			var peaks = this.fragments[n].peaks;
+			var offset = this.getFragmentOffset(n);
+
+			if (!peaks) {
+				continue;
+			}
+
+			// Each bin covers at least one bin of the fragment.
+			var from = Math.max(0, Math.floor((start - offset) * PEAKS_PER_SECOND));
+			var to = Math.min(peaks.min.length, Math.max(from + 1, Math.ceil((end - offset) * PEAKS_PER_SECOND)));
+
+			for (var j = from; j < to; j++) {
+				min[i] = Math.min(min[i], peaks.min[j]);
+				max[i] = Math.max(max[i], peaks.max[j]);
+			}
+		}
+	}
+
+	return {min: min, max: max};
+};
+
+/**
+ * Returns the state of the player, which is the state
+ * of the underlying queue unless the player is buffering.
+ */
+Reader.prototype.state = function () {
+	if (this.error) {
+		return STATE_ERROR;
+	} else if (this.buffering) {
+		return STATE_BUFFERING;
+	} else {
+		return this.queue.state;
+	}
+};
+
+/**
+ * Computes the total elapsed time.
+ */
+Reader.prototype.getCurrentTime = function () {
+	return this.getFragmentOffset(this.currentFragmentNumber) + this.queue.elapsed();
+};
+
+/**
+ * Seeks to a given time in the track.
+ */
+Reader.prototype.setCurrentTime = function (time) {
+	this.player.emit('seeking');
+	this.debouncedSeek(time);
+};
+
+/**
+ * Seeks to a given time in the track. Called through
+ * `debouncedSeek` once the user stopped asking for new times.
+ */
+Reader.prototype.seek = function (time) {
+	var that = this;
+
+	if (that.destroyed) {
+		return;
+	}
+
+	that.jumped = true;
+
+	// The metadata is needed to seek, so its request is resumed.
+	if (that.metadataError) {
+		that.recover();
+	}
+
+	that.load();
+
+	if (!that.fragments.length) {
+		var waitingFragments = window.setInterval(function () {
+			if (that.destroyed) {
+				window.clearInterval(waitingFragments);
+				return;
+			}
+
+			if (!that.fragments.length)
+				return ;
+
+			window.clearInterval(waitingFragments);
+
+			setup();
+		}, 100)
+	} else {
+		setup();
+	}
+
+	function setup () {
+		var number = that.getFragmentNumber(time);
+		var offset = time - that.getFragmentOffset(number);
+		that.currentFragmentNumber = number;
+
+		// Seeking starts over from the new time, dropping the failed requests.
+		if (that.error && !that.metadataError) {
+			that.error = null;
+			that.retries = [];
+		}
+
+		that.deferred = [];
+		that.generation++;
+
+		// Playback goes on from the new time, so a playing queue
+		// pauses and resumes without notice.
+		that.interrupted = that.interrupted || that.queue.state == STATE_PLAYING;
+
+		that.queue.pause(undefined, true);
+		that.startBuffering();
+
+		that.queue.empty();
+
+		that.loadFragment(number, function () {
+			if (that.currentFragmentNumber !== number)
+				return ;
+			that.stopBuffering();
+
+			that.queue.play(that.interrupted);
+			that.interrupted = false;
+
+			that.scheduleFragment(number, offset);
+			that.player.emit('seeked');
+
+			that.loadAndScheduleAfter(number, 1);
+		});
+	}
+};
+
+/**
+ * Destroys the audio reader.
+ */
+Reader.prototype.destroy = function () {
+	this.destroyed = true;
+	this.queue.destroy();
+	window.clearInterval(this.playingInterval);
+	this.fragments = [];
+
+	if (this.license) {
+		this.license.clear();
+	}
+
+	this.manager.cache.remove(this);
+
+	delete this.player;
+	delete this.queue;
+
+	delete this.manager;
+	delete this.context;
+	delete this.gain;
+};
+
+// -------------------------------------------------------------------- //
 
-	if (canPlayVorbis()) {
-		var path = that.fragments[number].vpath;
+/**
+ * The channel strip of a player, through which it feeds the master
+ * gain of its manager: a chain of effects, then a gain node for the
+ * volume of the player, followed by a stereo panner if the browser
+ * supports it. Its output may be tapped by an analyser node.
+ *
+ * The sources connect to the `input` of the effects chain.
+ */
+var Channel = function (context, destination) {
+	this.context = context;
+	this.analyser = null;
+	this.gain = context.createGain();
+	this.chain = new Effects.EffectsChain(context, this.gain);
+	this.input = this.chain.input;
+	this.panner = context.createStereoPanner ? context.createStereoPanner() : null;
+
+	if (this.panner) {
+		this.gain.connect(this.panner);
+		this.panner.connect(destination);
 	} else {
-		var path = that.fragments[number].mpath;
+		this.gain.connect(destination);
+	}
+
+	this.volume = 1.0;
+	this.muted = false;
+	this.pan = 0.0;    // From -1 (left) to 1 (right)
+	this.solo = false;
+};
+
+/**
+ * Applies the settings of the channel to its nodes, silencing it
+ * if another channel is soloed.
+ */
+Channel.prototype.update = function (silenced) {
+	this.gain.gain.value = this.muted || silenced ? 0.0 : this.volume;
+
+	if (this.panner) {
+		this.panner.pan.value = this.pan;
+	}
+};
+
+/**
+ * Returns the analyser node tapping the output of the channel,
+ * which is created on first use.
+ */
+Channel.prototype.getAnalyser = function () {
+	if (!this.analyser) {
+		this.analyser = this.context.createAnalyser();
+		(this.panner || this.gain).connect(this.analyser);
+	}
+
+	return this.analyser;
+};
+
+/**
+ * Disconnects the channel from the master gain.
+ */
+Channel.prototype.disconnect = function () {
+	(this.panner || this.gain).disconnect();
+};
+
+// Range of the playback rates of the players.
+var MIN_PLAYBACK_RATE = 0.25;
+var MAX_PLAYBACK_RATE = 4.0;
+
+/**
+ * Clamps a value between a minimum and a maximum.
+ */
+function clamp(value, min, max) {
+	return Math.min(max, Math.max(min, value));
+}
+
+// -------------------------------------------------------------------- //
+
+/**
+ * An audio player which mimics the HTMLAudioElement interface.
+ *
+ * Besides the legacy `on*` callbacks, it dispatches the events
+ * `loadedmetadata`, `play`, `playing`, `pause`, `waiting`, `canplay`,
+ * `seeking`, `seeked`, `timeupdate`, `ended`, `error`, `progress`,
+ * `downloadprogress`, `renditionchange`, `volumechange`, `panchange`,
+ * `solochange` and `ratechange` to the listeners added with `addEventListener`.
+ *
+ * Each player has its own `volume`, `muted`, `pan` and `solo` settings,
+ * on top of which the volume and mute of the manager act as a master.
+ * Its output is available to visualisations through the AnalyserNode
+ * `analyser`. Effects are inserted before its volume with `addEffect`.
+ *
+ * The player may `loop` over the whole file, or over a region set
+ * with `setLoopRegion`, whose fragments then stay in memory.
+ *
+ * The fragments are decoded and played with the Web Audio API, or
+ * streamed through a hidden media element for long files in formats
+ * which Media Source Extensions accept, as set by `backend`.
+ *
+ * Failed requests are retried with an exponential backoff. Once
+ * the retries are exhausted, the player enters an error state,
+ * exposing a MediaError as `error`, until the network is back
+ * or play() is called again.
+ *
+ * @param {Object} config
+ * @param {bool}   config.preload       Whether to load the file right away, rather than on load() or play().
+ * @param {number} config.volume        The volume of the player, from 0 to 1.
+ * @param {bool}   config.muted         Whether the player is muted.
+ * @param {number} config.pan           The stereo position of the player, from -1 (left) to 1 (right).
+ * @param {bool}   config.solo          Whether to silence the players of the manager which are not soloed.
+ * @param {number} config.playbackRate  The rate at which the file plays, e.g. 1.5 for 50% faster.
+ * @param {bool}   config.preservesPitch Whether to time-stretch the audio to keep its pitch at other rates.
+ * @param {bool}   config.loop          Whether to start over once the file ends.
+ * @param {string} config.title         The title of the file, shown as now playing instead of the one of the manifest.
+ * @param {string} config.artist        The artist of the file.
+ * @param {string} config.album         The album of the file.
+ * @param {Array}  config.artwork       The cover art of the file, as MediaImage objects or a single URL.
+ * @param {int}    config.retries       The number of retries of a failed request.
+ * @param {int}    config.retryDelay    The delay before the first retry, in milliseconds, doubled at every retry.
+ * @param {int}    config.maxRetryDelay The maximum delay between two retries, in milliseconds.
+ * @param {int}    config.timeout       The timeout of each request, in milliseconds.
+ * @param {int}    config.maxBitrate    The highest bitrate of the renditions to play, in bits per second.
+ * @param {Array}  config.codecs        The codec names or MIME types, by order of preference.
+ * @param {string} config.licenseUrl    The license endpoint, for manifests which only list key IDs.
+ * @param {string} config.licenseToken  The bearer token sent to the license endpoint.
+ * @param {bool}   config.wrapKeys      Whether to request keys wrapped for this session only.
+ * @param {string} config.backend       The playback backend: `webaudio`, `mediasource` if the file can be streamed, or `auto`.
+ * @param {number} config.mediaSourceDuration The shortest duration of the files which `auto` streams, in seconds.
+ */
+var Player = function (path, manager, config, id) {
+	// The channel settings of the config go through the setters.
+	this.manager = manager;
+	this.channel = new Channel(manager.context, manager.gain);
+	this.chain = this.channel.chain;
+	this.speed = {rate: 1.0, preservesPitch: false};
+	this.looping = {track: false, region: null};
+
+	_.extend(this, config);
+
+	this.id = id;
+	this.seekId = 0;
+	this.reader  = new Reader(path, this);
+};
+
+Player.prototype = {
+	preload: true,
+	retries: 3,
+	retryDelay: 500,
+	maxRetryDelay: 8000,
+	timeout: 10000,
+	maxBitrate: Infinity,
+	codecs: ['opus', 'vorbis', 'aac', 'flac', 'mp3'],
+	backend: BACKEND_AUTO,
+	mediaSourceDuration: 600,
+	title: null,
+	artist: null,
+	album: null,
+	artwork: null,
+
+	get paused() {
+		return this.reader.state() == STATE_PAUSED;
+	},
+
+	get finished() {
+		return this.reader.state() == STATE_FINISHED;
+	},
+
+	get currentTime() {
+		return this.reader.getCurrentTime();
+	},
+
+	set currentTime(time) {
+		this.seek(time).catch(function () {});
+	},
+
+	get duration() {
+		return this.reader.duration;
+	},
+
+	get error() {
+		return this.reader.error;
+	},
+
+	get volume() {
+		return this.channel.volume;
+	},
+
+	set volume(volume) {
+		this.channel.volume = clamp(volume, 0.0, 1.0);
+		this.manager.updateChannels();
+		this.emit('volumechange');
+	},
+
+	get muted() {
+		return this.channel.muted;
+	},
+
+	set muted(muted) {
+		this.channel.muted = !!muted;
+		this.manager.updateChannels();
+		this.emit('volumechange');
+	},
+
+	get pan() {
+		return this.channel.pan;
+	},
+
+	set pan(pan) {
+		this.channel.pan = clamp(pan, -1.0, 1.0);
+		this.manager.updateChannels();
+		this.emit('panchange');
+	},
+
+	get solo() {
+		return this.channel.solo;
+	},
+
+	set solo(solo) {
+		this.channel.solo = !!solo;
+		this.manager.updateChannels();
+		this.emit('solochange');
+	},
+
+	get playbackRate() {
+		return this.speed.rate;
+	},
+
+	set playbackRate(rate) {
+		this.speed.rate = clamp(rate, MIN_PLAYBACK_RATE, MAX_PLAYBACK_RATE);
+		this.updateRate();
+	},
+
+	get preservesPitch() {
+		return this.speed.preservesPitch;
+	},
+
+	set preservesPitch(preservesPitch) {
+		this.speed.preservesPitch = !!preservesPitch;
+		this.updateRate();
+	},
+
+	get loop() {
+		return this.looping.track;
+	},
+
+	set loop(loop) {
+		this.looping.track = !!loop;
+
+		if (this.reader) {
+			this.reader.updateLoop();
+		}
+	},
+
+	get loopRegion() {
+		return this.looping.region && _.extend({}, this.looping.region);
+	},
+
+	get analyser() {
+		return this.channel.getAnalyser();
+	},
+
+	get renditions() {
+		return this.reader.renditions;
+	},
+
+	// The backend playing the file, which is only chosen once its
+	// metadata is loaded.
+	get activeBackend() {
+		return this.reader.queue instanceof MediaQueue ? BACKEND_MEDIA_SOURCE : BACKEND_WEB_AUDIO;
+	},
+
+	get rendition() {
+		return this.reader.renditions[this.reader.level] || null;
+	},
+
+	// Player callbacks
+	onMetadataFetched: function() {
+		console.info('onMetadataFetched');
+	},
+	onMetadataError: function(error) {
+		console.info('onMetadataError', error);
+	},
+	onIntegrityError: function(number) {
+		console.info('onIntegrityError', number);
+	},
+	onLicenseError: function(error) {
+		console.info('onLicenseError', error);
+	},
+	onPlay: function() {
+		console.info('onPlay');
+	},
+	onPause: function() {
+		console.info('onPause');
+	},
+	onFinish: function() {
+		console.info('onFinish');
+	},
+	onBufferingStart: function() {
+		console.info('onBufferingStart');
+	},
+	onBufferingStop: function() {
+		console.info('onBufferingStop');
+	},
+	whilePlaying: function() {
+		console.info('whilePlaying');
+	}
+};
+
+EventTarget.mixin(Player.prototype);
+Effects.EffectsChain.mixin(Player.prototype);
+
+// Legacy callbacks, called along with the matching events.
+var PLAYER_CALLBACKS = {
+	loadedmetadata: 'onMetadataFetched',
+	play: 'onPlay',
+	pause: 'onPause',
+	ended: 'onFinish',
+	waiting: 'onBufferingStart',
+	canplay: 'onBufferingStop',
+	timeupdate: 'whilePlaying'
+};
+
+/**
+ * Calls the legacy callback of an event, then dispatches it.
+ *
+ * Error events have a `kind` detail, which is one of `metadata`,
+ * `network`, `decode`, `integrity` or `license`, and the `code`
+ * of the matching MediaError. Pause events have a `reason` detail
+ * of `notallowed` when an autoplay policy stopped the media element.
+ */
+Player.prototype.emit = function (type, detail) {
+	if (type === 'error') {
+		switch (detail.kind) {
+			case 'metadata':
+				this.onMetadataError(detail.error);
+				break;
+			case 'integrity':
+				this.onIntegrityError(detail.fragment);
+				break;
+			case 'license':
+				this.onLicenseError(detail);
+				break;
+		}
+	} else if (PLAYER_CALLBACKS[type]) {
+		this[PLAYER_CALLBACKS[type]]();
+	}
+
+	this.dispatchEvent({type: type, detail: detail});
+};
+
+/**
+ * Returns a Promise which resolves once the player dispatches
+ * an event of the `resolveOn` type, and rejects with the error
+ * returned by `rejectOn[type](event)` for the events of other types.
+ */
+function waitForEvent(player, resolveOn, rejectOn) {
+	var types = [resolveOn].concat(Object.keys(rejectOn));
+
+	return new Promise(function (resolve, reject) {
+		function listener(event) {
+			var error = event.type === resolveOn ? null : rejectOn[event.type](event);
+
+			if (event.type !== resolveOn && !error) {
+				return;
+			}
+
+			for (var i = 0; i < types.length; i++) {
+				player.removeEventListener(types[i], listener);
+			}
+
+			if (error) {
+				reject(error);
+			} else {
+				resolve();
+			}
+		}
+
+		for (var i = 0; i < types.length; i++) {
+			player.addEventListener(types[i], listener);
+		}
+	});
+}
+
+/**
+ * Returns the MetadataError matching an error event, if any.
+ */
+function metadataErrorOf(event) {
+	return event.detail.kind === 'metadata' ? new Errors.MetadataError('Could not fetch the metadata.', event.detail) : null;
+}
+
+/**
+ * Returns the error matching an error event, which is either a
+ * MetadataError or the MediaError of the reader.
+ */
+function mediaErrorOf(event) {
+	return metadataErrorOf(event) || event.target.reader.error;
+}
+
+/**
+ * Loads the file, if the player was not asked to preload it.
+ *
+ * Returns a Promise which resolves once the first fragment is
+ * loaded, or rejects with a MetadataError or a MediaError. The
+ * failed requests of a previous call are retried.
+ */
+Player.prototype.load = function () {
+	var reader = this.reader;
+
+	reader.recover();
+
+	if (reader.ready) {
+		return Promise.resolve();
 	}
 
-	request.open('GET', path, true);
-	request.responseType = 'arraybuffer';
-	request.onload = function () {
-		var encodedRawBuffer = request.response;
+	var promise = waitForEvent(this, 'canplay', {error: mediaErrorOf});
+
+	reader.load();
+
+	return promise;
+};
+
+/**
+ * Resumes the audio player.
+ *
+ * Returns a Promise which resolves once the audio is scheduled,
+ * or rejects with a NotAllowedError if the AudioContext cannot be
+ * resumed or the media element is not allowed to play, a
+ * MetadataError if the file cannot be loaded, the
+ * MediaError of the player if a fragment cannot be loaded, or an
+ * AbortError if the player is paused in the meantime. The failed
+ * requests of a previous call are retried.
+ */
+Player.prototype.play = function () {
+	var that = this;
+	var reader = this.reader;
+
+	return this.manager.resume().then(function () {
+		if (reader.destroyed) {
+			throw new Errors.AbortError('The play() request was interrupted by the destruction of the player.');
+		}
+
+		reader.recover();
+		reader.load();
+
+		if (reader.queue.state == STATE_PLAYING && !reader.buffering) {
+			return;
+		}
+
+		var promise = waitForEvent(that, 'playing', {
+			error: mediaErrorOf,
+			pause: function (event) {
+				if (event.detail && event.detail.reason === 'notallowed') {
+					return new Errors.NotAllowedError(event.detail.message);
+				}
+
+				return new Errors.AbortError('The play() request was interrupted by a call to pause().');
+			}
+		});
+
+		reader.queue.play();
+
+		return promise;
+	});
+};
+
+/**
+ * Seeks to a given time in the track.
+ *
+ * Returns a Promise which resolves once the fragment at that time
+ * is scheduled, or rejects with a MetadataError or a MediaError if
+ * it cannot be loaded, or an AbortError if another seek is requested
+ * in the meantime.
+ */
+Player.prototype.seek = function (time) {
+	var that = this;
+	var seekId = ++this.seekId;
+
+	var promise = waitForEvent(this, 'seeked', {
+		error: mediaErrorOf,
+		seeking: function () {
+			return seekId !== that.seekId ? new Errors.AbortError('The seek was interrupted by another seek.') : null;
+		}
+	});
 
-		callback(number, that.decodeFragment(number, encodedRawBuffer));
-	};
+	this.reader.setCurrentTime(time);
 
-	request.send();
+	return promise;
 };
 
 /**
- * Checks whether a given fragment is loaded into memory.
+ * Pauses the audio player.
  */
-Reader.prototype.isFragmentLoaded = function (number) {
-	return this.fragments[number].buffer !== null;
-}
+Player.prototype.pause = function () {
+	this.reader.queue.pause();
+};
 
 /**
- * Loads a given fragment into memory.
+ * Returns a Promise settled by a call to the offline store, whose
+ * callback is appended to the given arguments.
  */
-Reader.prototype.loadFragment = function (number, callback) {
-	// Maybe the fragment doesn't exist?
-	if (!this.fragments || !this.fragments.length)
-		console.log('no fragments');
-	if (number >= this.fragments.length) {
-		return;
-	}
-
-	// Maybe the fragment was already loaded?
-	if (this.isFragmentLoaded(number)) {
-		callback(number);
-		return;
+function storeRequest(store, method, args) {
+	if (!store) {
+		return Promise.reject(new Errors.NotSupportedError('Offline storage is not available.'));
 	}
 
-	var that = this;
-
-	that.fetchFragment(number, function (number, decodedRawBuffer) {
-		that.context.decodeAudioData(decodedRawBuffer, function (audioBuffer) {
-			that.fragments[number].buffer = audioBuffer;
-
-			callback(number);
-		});
+	return new Promise(function (resolve, reject) {
+		store[method].apply(store, args.concat(function (error, result) {
+			if (error) {
+				reject(error);
+			} else {
+				resolve(result);
+			}
+		}));
 	});
-};
+}
 
 /**
- * Schedules the given fragment to start playing right
- * after the current one.
+ * Downloads the file into the offline store, so that it plays
+ * without the network. Dispatches `downloadprogress` events whose
+ * detail holds the number of `loaded` and `total` fragments.
  *
- * The fragment must already be loaded into memory.
+ * Returns a Promise which resolves once every fragment is stored,
+ * or rejects with a NotSupportedError if offline storage is not
+ * available, a QuotaExceededError if the storage is full, or a
+ * MediaError if a fragment cannot be fetched. Downloading again
+ * resumes where the previous download stopped.
  */
-Reader.prototype.scheduleFragment = function (number, offset) {
-	// console.log('Scheduling fragment ' + number + ' with offset ' + offset);
-
+Player.prototype.download = function () {
 	var that = this;
 
-	that.queue.push(that.fragments[number].buffer, number, function (source) {
-		source.endCallback = function () {
-			console.log('endCallback called for fragment ', number);
-			that.currentFragmentNumber = number + 1;
+	if (!this.manager.store) {
+		return Promise.reject(new Errors.NotSupportedError('Offline storage is not available.'));
+	}
 
-			// Maybe we don't have any fragments left to queue?
-			if (that.currentFragmentNumber >= that.fragments.length) {
-				that.queue.pause();
-				that.queue.state = STATE_FINISHED;
-				that.player.onFinish();
-			}
-			
-			// Make sure we load the n + 2 fragment when this one ends.
-			that.loadAndScheduleFragment(number + 2);
-		};
+	// Ask the browser not to clear the store under storage pressure.
+	if (navigator.storage && navigator.storage.persist) {
+		navigator.storage.persist().catch(function () {});
+	}
 
-		// Maybe we must start playing the fragment with a given offset?
-		if (offset) {
-			// console.log('startsFrom set to', offset);
-			source.startsFrom = offset;
-		}
+	return this.load().then(function () {
+		return new Promise(function (resolve, reject) {
+			that.reader.download(function (loaded, total) {
+				that.emit('downloadprogress', {loaded: loaded, total: total});
+			}, function (error) {
+				if (error) {
+					reject(error);
+				} else {
+					resolve();
+				}
+			});
+		});
 	});
 };
 
 /**
- * Loads and schedules a given fragment.
+ * Removes the file from the offline store.
+ *
+ * Returns a Promise which resolves once it is removed.
  */
-Reader.prototype.loadAndScheduleFragment = function (number, offset, callback) {
-	callback = callback || function () {};
-	var that = this;
-
-	that.loadFragment(number, function () {
-		that.scheduleFragment(number, offset);
-
-		callback();
-	});
+Player.prototype.removeDownload = function () {
+	return storeRequest(this.manager.store, 'remove', [this.reader.path]);
 };
 
 /**
- * Returns the state of the player, which is the state
- * of the underlying queue unless the player is buffering.
+ * Applies a new playback rate or pitch mode to the playing audio.
  */
-Reader.prototype.state = function () {
-	if (this.buffering) {
-		return STATE_BUFFERING;
-	} else {
-		return this.queue.state;
+Player.prototype.updateRate = function () {
+	// The config is applied before the reader exists.
+	if (this.reader) {
+		this.reader.queue.updateRate();
 	}
+
+	this.emit('ratechange');
 };
 
 /**
- * Computes the total elapsed time.
+ * Returns the waveform of the file as the lowest and highest sample
+ * over `resolution` bins of equal duration, in Float32Arrays `min`
+ * and `max`. The peaks are computed as the fragments are decoded,
+ * so the bins of the fragments which were not decoded yet are zero
+ * until a `progress` event announces them. Files streamed through a
+ * media element are never decoded, and their peaks stay zero.
  */
-Reader.prototype.getCurrentTime = function () {
-	return this.currentFragmentNumber * FRAGMENT_DURATION + this.queue.elapsed();
+Player.prototype.getPeaks = function (resolution) {
+	return this.reader.getPeaks(resolution);
 };
 
 /**
- * Seeks to a given time in the track.
+ * Returns the title, artist, album and artwork of the file, as set
+ * in the config of the player or else in its manifest.
  */
-Reader.prototype.setCurrentTime = _.debounce(function (time) {
+Player.prototype.getMediaMetadata = function () {
 	var that = this;
+	var manifest = this.reader.metadata || {};
 
-	that.jumped = true;
-
-	if (!that.fragments.length) {
-		var waitingFragments = window.setInterval(function () {
-			if (!that.fragments.length)
-				return ;
-
-			window.clearInterval(waitingFragments);
-
-			setup();
-		}, 100)
-	} else {
-		setup();
+	function pick(field) {
+		return that[field] != null ? that[field] : manifest[field];
 	}
 
-	function setup () {
-		var number = that.getFragmentNumber(time);
-		var offset = time % FRAGMENT_DURATION;
-		that.currentFragmentNumber = number;
-
-		that.queue.pause();
-		that.buffering = true;
-		that.player.onBufferingStart();	
+	var artwork = pick('artwork') || [];
 
-		that.queue.empty();
+	return {
+		title: pick('title') || '',
+		artist: pick('artist') || '',
+		album: pick('album') || '',
+		artwork: typeof artwork === 'string' ? [{src: artwork}] : artwork
+	};
+};
 
-		that.loadFragment(number, function () {
-			if (that.currentFragmentNumber !== number)
-				return ;
-			that.player.onBufferingStop();
-			that.buffering = false;
+/**
+ * Loops over the region between two times of the file, in seconds,
+ * which may span several fragments. Seeks to the start of the region
+ * unless the current time is already within it.
+ */
+Player.prototype.setLoopRegion = function (start, end) {
+	start = Math.max(0, start);
 
-			that.queue.play();
+	if (!(end > start)) {
+		throw new RangeError('The loop region must end after it starts.');
+	}
 
-			that.scheduleFragment(number, offset);
+	this.looping.region = {start: start, end: end};
+	this.reader.updateLoop();
 
-			that.loadAndScheduleFragment(number + 1);
-		});
+	if (this.currentTime < start || this.currentTime >= end) {
+		this.seek(start).catch(function () {});
 	}
-}, 300);
+};
 
 /**
- * Destroys the audio reader.
+ * Stops looping over the region, and plays on from the current time.
  */
-Reader.prototype.destroy = function () {
-	this.queue.empty();
-	this.fragments = [];
-
-	delete this.player;
-	delete this.queue;
-
-	delete this.manager;
-	delete this.context;
-	delete this.gain;
+Player.prototype.clearLoopRegion = function () {
+	this.looping.region = null;
+	this.reader.updateLoop();
 };
 
-// -------------------------------------------------------------------- //
-
 /**
- * An audio player which mimics the HTMLAudioElement interface.
+ * Pins the rendition with a given index in `renditions`, or goes
+ * back to the adaptive selection if null. Takes effect from the
+ * next fetched fragment.
  */
-var Player = function (path, manager, config, id) {
-	_.extend(this, config);
-
-	this.manager = manager;
-	this.id = id;
-	this.reader  = new Reader(path, this);
-};
-
-Player.prototype = {
-	get paused() {
-		return this.reader.state() == STATE_PAUSED;
-	},
-
-	get finished() {
-		return this.reader.state() == STATE_FINISHED;
-	},
-
-	get currentTime() {
-		return this.reader.getCurrentTime();
-	},
-
-	set currentTime(time) {
-		this.reader.setCurrentTime(time);
-	},
-
-	get duration() {
-		return this.reader.duration;
-	},
-
-	// Player callbacks
-	onMetadataFetched: function() {
-		console.info('onMetadataFetched');
-	},
-	onMetadataError: function(error) {
-		console.info('onMetadataError', error);
-	},
-	onPlay: function() {
-		console.info('onPlay');
-	},
-	onPause: function() {
-		console.info('onPause');
-	},
-	onFinish: function() {
-		console.info('onFinish');
-	},
-	onBufferingStart: function() {
-		console.info('onBufferingStart');
-	},
-	onBufferingStop: function() {
-		console.info('onBufferingStop');
-	},
-	whilePlaying: function() {
-		console.info('whilePlaying');
-	}
+Player.prototype.pinRendition = function (index) {
+	this.reader.pinnedLevel = index === undefined ? null : index;
 };
 
 /**
- * Resumes the audio player.
+ * Caps the bitrate of the renditions selected adaptively, in bits
+ * per second, or removes the cap if null.
  */
-Player.prototype.play = function () {
-	this.reader.queue.play();
+Player.prototype.setMaxBitrate = function (bitrate) {
+	this.maxBitrate = bitrate === null || bitrate === undefined ? Infinity : bitrate;
+	this.reader.maxBitrate = this.maxBitrate;
 };
 
 /**
- * Pauses the audio player.
+ * Replaces the token sent to the license endpoint, for
+ * instance once the previous one has expired.
  */
-Player.prototype.pause = function () {
-	this.reader.queue.pause();
+Player.prototype.setLicenseToken = function (token) {
+	this.licenseToken = token;
+
+	if (this.reader.license) {
+		this.reader.license.setToken(token);
+	}
 };
 
 /**
  * Destroys the audio player.
  */
 Player.prototype.destroy = function () {
+	var manager = this.manager;
+
 	this.reader.destroy();
+	this.channel.disconnect();
+
+	if (manager.nowPlaying) {
+		manager.nowPlaying.release(this);
+	}
+
+	// The other players must not stay silenced by this one.
+	if (this.channel.solo) {
+		this.channel.solo = false;
+		manager.updateChannels();
+	}
 
 	delete this.reader;
 	delete this.manager;
@@ -729,12 +3812,40 @@ Player.prototype.destroy = function () {
 /**
  * An audio player manager. Manages multiple audio player
  * instances, which all share a common AudioContext and
- * gain node.
+ * master gain node. Dispatches `volumechange` events. The mix of
+ * all players goes through the effects added with `addEffect`, and
+ * is available through the AnalyserNode `analyser`.
+ *
+ * The players of the tracks of its `playlist` are managed too. The
+ * last player to start playing is published to the Media Session.
+ *
+ * @param {Object} config
+ * @param {int}    config.workers    The number of workers decrypting and time-stretching the fragments (0 to do so on the main thread).
+ * @param {string} config.workerPath The path to the bundled `worker.js` script.
+ * @param {int}    config.cacheSize  The memory budget of the decoded fragments of all players, in bytes.
+ * @param {string} config.storeName  The name of the IndexedDB database of the downloaded files.
+ * @param {bool}   config.mediaSession Whether to publish the players to the Media Session.
  */
-var Manager = function () {
+var Manager = function (config) {
+	_.extend(this, config);
+
+	this.players = [];
+	this.nextId = 0; // The id of the next player, as ids are never reused
+	this.playlist = new Playlist(this);
+	this.nowPlaying = this.mediaSession ? NowPlaying.create(this) : null;
+	this.masterAnalyser = null;
+
+	this.pool = WorkerPool.create(this.workerPath, this.workers);
+	this.cache = new FragmentCache(this.cacheSize);
+	this.store = OfflineStore.create(this.storeName);
 	this.context = new (window.AudioContext || window.webkitAudioContext)();
 	console.log("context ", this.context)
 	var that = this;
+
+	// Resume the failed requests once the network is back.
+	window.addEventListener('online', function () {
+		that.recover();
+	}, false);
 	if (this.context.state !== "running") {
 		fix(this.context);
 		setup();
@@ -768,7 +3879,8 @@ var Manager = function () {
 	function setup() {
 		console.log("setup ", that.context.state);
 		that.gain = that.context.createGain();
-		that.gain.connect(that.context.destination);
+		that.chain = new Effects.EffectsChain(that.context, that.context.destination);
+		that.gain.connect(that.chain.input);
 
 		/*
 		 * iOS attempts user action in order to play sound with the Web Audio API.
@@ -791,31 +3903,181 @@ Manager.prototype = {
 	players: [],
 	muted: false,
 	volume: 1.0,
+	workers: 0,
+	workerPath: 'diaes-worker.js',
+	cacheSize: 128 * 1024 * 1024,
+	storeName: 'diaes',
+	mediaSession: true,
+
+	// The analyser node tapping the master bus, created on first use.
+	get analyser() {
+		if (!this.masterAnalyser) {
+			this.masterAnalyser = this.context.createAnalyser();
+			this.chain.output.connect(this.masterAnalyser);
+		}
+
+		return this.masterAnalyser;
+	},
 
 	onMute: function() {},
 	onUnmute: function() {},
 	onVolumeChange: function() {}
 };
 
+EventTarget.mixin(Manager.prototype);
+Effects.EffectsChain.mixin(Manager.prototype);
+
+/**
+ * Resumes the AudioContext if it is suspended.
+ *
+ * Returns a Promise which resolves once the context is running,
+ * or rejects with a NotAllowedError if it does not resume, which
+ * usually means that it needs a user gesture. The context runs as
+ * soon as its state says so, even if resume() is still pending.
+ */
+Manager.prototype.resume = function () {
+	var context = this.context;
+	var message = 'The AudioContext could not be resumed, a user gesture may be required.';
+
+	if (context.state === 'running' || !context.resume) {
+		return Promise.resolve();
+	}
+
+	return new Promise(function (resolve, reject) {
+		var timeout = setTimeout(function () {
+			settle(new Errors.NotAllowedError(message));
+		}, RESUME_TIMEOUT);
+
+		function settle(error) {
+			clearTimeout(timeout);
+			context.removeEventListener('statechange', change);
+
+			if (error) {
+				reject(error);
+			} else {
+				resolve();
+			}
+		}
+
+		function change() {
+			if (context.state === 'running') {
+				settle();
+			} else if (context.state === 'closed') {
+				settle(new Errors.NotAllowedError('The AudioContext was closed.'));
+			}
+		}
+
+		context.addEventListener('statechange', change);
+
+		Promise.resolve(context.resume()).then(function () {
+			settle(context.state === 'running' ? null : new Errors.NotAllowedError(message));
+		}, function (error) {
+			settle(new Errors.NotAllowedError(error.message));
+		});
+	});
+};
+
 /**
  * Adds a new player to the manager.
  */
 Manager.prototype.add = function (path, config) {
-	var player = new Player(path, this, config, this.players.length);
+	var player = new Player(path, this, config, this.nextId++);
 
 	this.players.push(player);
+	this.updateChannels();
+
+	if (this.nowPlaying) {
+		this.nowPlaying.watch(player);
+	}
 
 	return player;
 };
 
 /**
- * Destroys all but the last player from the manager.
+ * Applies the channel settings of every managed player, silencing
+ * the players which are not soloed if any player is.
+ */
+Manager.prototype.updateChannels = function () {
+	var soloed = false;
+
+	for (var i = 0; i < this.players.length; i++) {
+		soloed = soloed || this.players[i].solo;
+	}
+
+	for (i = 0; i < this.players.length; i++) {
+		this.players[i].channel.update(soloed && !this.players[i].solo);
+	}
+};
+
+/**
+ * Resumes the failed requests of every managed player.
+ */
+Manager.prototype.recover = function () {
+	for (var i = 0; i < this.players.length; i++) {
+		this.players[i].reader.recover();
+	}
+};
+
+/**
+ * Returns the statistics of the cache of decoded fragments: its
+ * `budget` and used `bytes`, the number of cached `fragments` and
+ * of `stretched` copies, and the number of cache `hits`, `misses`
+ * and `evictions`.
+ */
+Manager.prototype.getCacheStats = function () {
+	return this.cache.stats();
+};
+
+/**
+ * Returns a Promise of the paths of the downloaded files.
+ */
+Manager.prototype.getDownloads = function () {
+	return storeRequest(this.store, 'list', []);
+};
+
+/**
+ * Returns a Promise of the `usage` and `quota` of the storage
+ * of this origin, in bytes, as estimated by the browser.
+ */
+Manager.prototype.getStorageEstimate = function () {
+	if (!navigator.storage || !navigator.storage.estimate) {
+		return Promise.reject(new Errors.NotSupportedError('Storage estimates are not available.'));
+	}
+
+	return navigator.storage.estimate();
+};
+
+/**
+ * Removes a player from the manager, and destroys it.
+ */
+Manager.prototype.remove = function (player) {
+	var index = this.players.indexOf(player);
+
+	if (index === -1) {
+		return;
+	}
+
+	this.players.splice(index, 1);
+	player.destroy();
+	this.updateChannels();
+};
+
+/**
+ * Destroys every player but the last one added. The players of the
+ * playlist are left out, as it destroys them itself once their track
+ * is done.
  */
-Manager.prototype.destroyUnused = function () { // todo: pas le dernier !
-	while (this.players.length > 1) {
-		var unused = this.players.shift();
+Manager.prototype.destroyUnused = function () {
+	var playlist = this.playlist;
+
+	var unused = this.players.filter(function (player) {
+		return player !== playlist.player && !(playlist.preloaded && player === playlist.preloaded.player);
+	});
+
+	unused.pop();
 
-		unused.destroy();
+	for (var i = 0; i < unused.length; i++) {
+		this.remove(unused[i]);
 	}
 };
 
@@ -827,6 +4089,7 @@ Manager.prototype.mute = function () {
 	this.gain.gain.value = 0.0;
 
 	this.onMute();
+	this.dispatchEvent('volumechange');
 };
 
 /**
@@ -840,13 +4103,15 @@ Manager.prototype.unmute = function () {
 };
 
 /**
- * Sets the volume of every manager player.
+ * Sets the volume of every manager player, which only applies
+ * once they are unmuted if the manager is muted.
  */
 Manager.prototype.setVolume = function (volume) {
 	this.volume = volume;
-	this.gain.gain.value = volume;
+	this.gain.gain.value = this.muted ? 0.0 : volume;
 
 	this.onVolumeChange();
+	this.dispatchEvent('volumechange');
 };
 
 /**
@@ -871,6 +4136,7 @@ Manager.prototype.pauseAll = function (id) {
 
 module.exports = {
 	Player: Player,
-	Manager: Manager
+	Manager: Manager,
+	Effects: Effects
 };
 
@@ -0,0 +1,383 @@
+/**
+ * Audio effects of diaes.js, inserted into the channel of a player
+ * or into the master bus of a Manager.
+ *
+ * An effects chain sits between a fixed `input` and `output` node,
+ * so that the sources, which are created again on every seek or
+ * pause, always connect to the same node. Effects are either plain
+ * AudioNodes, objects with an `input` and an `output` node, factories
+ * returning one of those, or the settings of a built-in effect: the
+ * `equalizer`, made of biquad filters, and the dynamics `compressor`.
+ *
+ * The settings of the built-in effects are plain objects, which
+ * `toJSON` returns so that they can be stored and restored.
+ */
+
+
+'use strict';
+
+/**
+ * An effect of a chain, going from an `input` to an `output` node.
+ */
+var Effect = function (input, output) {
+	this.input = input;
+	this.output = output || input;
+	this.bypassed = false;
+};
+
+/**
+ * Returns the settings of the effect, or null for custom effects.
+ */
+Effect.prototype.toJSON = function () {
+	return null;
+};
+
+/**
+ * Disconnects the nodes of the effect from the chain.
+ */
+Effect.prototype.disconnect = function () {
+	this.output.disconnect();
+};
+
+// -------------------------------------------------------------------- //
+
+var DEFAULT_BANDS = [
+	{type: 'lowshelf', frequency: 100, gain: 0, Q: 0.7},
+	{type: 'peaking', frequency: 1000, gain: 0, Q: 1.0},
+	{type: 'highshelf', frequency: 8000, gain: 0, Q: 0.7}
+];
+
+/**
+ * A parametric equalizer, with one biquad filter per band. Each band
+ * has a filter `type`, a `frequency` in hertz, a `gain` in decibels
+ * and a quality factor `Q`.
+ *
+ * @param {AudioContext} context
+ * @param {Object}       settings
+ * @param {Array}        settings.bands
+ */
+var Equalizer = function (context, settings) {
+	var bands = (settings && settings.bands) || DEFAULT_BANDS;
+
+	this.filters = bands.map(function () {
+		return context.createBiquadFilter();
+	});
+
+	for (var i = 1; i < this.filters.length; i++) {
+		this.filters[i - 1].connect(this.filters[i]);
+	}
+
+	Effect.call(this, this.filters[0], this.filters[this.filters.length - 1]);
+
+	this.setBands(bands);
+};
+
+Equalizer.prototype = Object.create(Effect.prototype);
+Equalizer.prototype.constructor = Equalizer;
+
+/**
+ * Applies the settings of the bands to the filters. Bands are only
+ * changed, not added or removed, since the filters are in use.
+ */
+Equalizer.prototype.setBands = function (bands) {
+	for (var i = 0; i < this.filters.length && i < bands.length; i++) {
+		var filter = this.filters[i];
+		var band = bands[i];
+
+		filter.type = band.type || 'peaking';
+		filter.frequency.value = band.frequency;
+		filter.gain.value = band.gain || 0;
+		filter.Q.value = band.Q || 1.0;
+	}
+};
+
+Equalizer.prototype.toJSON = function () {
+	return {
+		type: 'equalizer',
+		bands: this.filters.map(function (filter) {
+			return {type: filter.type, frequency: filter.frequency.value, gain: filter.gain.value, Q: filter.Q.value};
+		})
+	};
+};
+
+// -------------------------------------------------------------------- //
+
+var COMPRESSOR_PARAMS = ['threshold', 'knee', 'ratio', 'attack', 'release'];
+
+/**
+ * A dynamics compressor, followed by a makeup gain. The settings are
+ * those of DynamicsCompressorNode, plus the `makeupGain` in decibels.
+ *
+ * @param {AudioContext} context
+ * @param {Object}       settings
+ */
+var Compressor = function (context, settings) {
+	this.compressor = context.createDynamicsCompressor();
+	this.makeup = context.createGain();
+	this.compressor.connect(this.makeup);
+	this.makeupGain = 0; // In decibels
+
+	Effect.call(this, this.compressor, this.makeup);
+
+	this.setSettings(settings || {});
+};
+
+Compressor.prototype = Object.create(Effect.prototype);
+Compressor.prototype.constructor = Compressor;
+
+/**
+ * Applies the given settings, leaving the others unchanged.
+ */
+Compressor.prototype.setSettings = function (settings) {
+	for (var i = 0; i < COMPRESSOR_PARAMS.length; i++) {
+		var name = COMPRESSOR_PARAMS[i];
+
+		if (settings[name] !== undefined) {
+			this.compressor[name].value = settings[name];
+		}
+	}
+
+	if (settings.makeupGain !== undefined) {
+		this.makeupGain = settings.makeupGain;
+		this.makeup.gain.value = Math.pow(10, settings.makeupGain / 20);
+	}
+};
+
+Compressor.prototype.toJSON = function () {
+	var settings = {type: 'compressor'};
+
+	for (var i = 0; i < COMPRESSOR_PARAMS.length; i++) {
+		settings[COMPRESSOR_PARAMS[i]] = this.compressor[COMPRESSOR_PARAMS[i]].value;
+	}
+
+	settings.makeupGain = this.makeupGain;
+
+	return settings;
+};
+
+// -------------------------------------------------------------------- //
+
+// The built-in effects, by the `type` of their settings.
+var TYPES = {
+	equalizer: Equalizer,
+	compressor: Compressor
+};
+
+// Settings of the built-in effects for common uses.
+var PRESETS = {
+	equalizer: {
+		flat: {type: 'equalizer', bands: DEFAULT_BANDS},
+		bassBoost: {type: 'equalizer', bands: [
+			{type: 'lowshelf', frequency: 120, gain: 6, Q: 0.7},
+			{type: 'peaking', frequency: 1000, gain: 0, Q: 1.0},
+			{type: 'highshelf', frequency: 8000, gain: 0, Q: 0.7}
+		]},
+		vocal: {type: 'equalizer', bands: [
+			{type: 'highpass', frequency: 80, gain: 0, Q: 0.7},
+			{type: 'peaking', frequency: 3000, gain: 4, Q: 1.0},
+			{type: 'highshelf', frequency: 10000, gain: -2, Q: 0.7}
+		]},
+		treble: {type: 'equalizer', bands: [
+			{type: 'lowshelf', frequency: 100, gain: 0, Q: 0.7},
+			{type: 'peaking', frequency: 1000, gain: 0, Q: 1.0},
+			{type: 'highshelf', frequency: 6000, gain: 6, Q: 0.7}
+		]}
+	},
+	compressor: {
+		gentle: {type: 'compressor', threshold: -18, knee: 12, ratio: 2, attack: 0.01, release: 0.25, makeupGain: 2},
+		voice: {type: 'compressor', threshold: -24, knee: 6, ratio: 4, attack: 0.005, release: 0.15, makeupGain: 6},
+		limiter: {type: 'compressor', threshold: -3, knee: 0, ratio: 20, attack: 0.001, release: 0.05, makeupGain: 0}
+	}
+};
+
+/**
+ * Returns the Effect for any accepted kind of effect.
+ */
+function createEffect(context, effect) {
+	if (typeof effect === 'function') {
+		effect = effect(context);
+	}
+
+	if (effect instanceof Effect) {
+		return effect;
+	}
+
+	if (effect && TYPES[effect.type]) {
+		var created = new TYPES[effect.type](context, effect);
+
+		created.bypassed = !!effect.bypassed;
+
+		return created;
+	}
+
+	if (effect && effect.input && effect.output) {
+		return new Effect(effect.input, effect.output);
+	}
+
+	if (effect && typeof effect.connect === 'function') {
+		return new Effect(effect);
+	}
+
+	throw new TypeError('Unknown effect: ' + effect);
+}
+
+/**
+ * Creates an empty chain of effects, from a new input node to
+ * a given destination.
+ */
+var EffectsChain = function (context, destination) {
+	this.context = context;
+	this.input = context.createGain();
+	this.output = context.createGain();
+	this.effects = [];
+
+	this.output.connect(destination);
+	this.connect();
+};
+
+/**
+ * Connects the input, the effects which are not bypassed and the
+ * output in order.
+ */
+EffectsChain.prototype.connect = function () {
+	var node = this.input;
+
+	node.disconnect();
+
+	for (var i = 0; i < this.effects.length; i++) {
+		var effect = this.effects[i];
+
+		effect.disconnect();
+
+		if (!effect.bypassed) {
+			node.connect(effect.input);
+			node = effect.output;
+		}
+	}
+
+	node.connect(this.output);
+};
+
+/**
+ * Inserts an effect at a given index, or at the end of the chain,
+ * and returns it as an Effect.
+ */
+EffectsChain.prototype.add = function (effect, index) {
+	effect = createEffect(this.context, effect);
+
+	index = index === undefined ? this.effects.length : index;
+	this.effects.splice(index, 0, effect);
+	this.connect();
+
+	return effect;
+};
+
+/**
+ * Removes an effect from the chain.
+ */
+EffectsChain.prototype.remove = function (effect) {
+	var index = this.effects.indexOf(effect);
+
+	if (index === -1) {
+		return;
+	}
+
+	this.effects.splice(index, 1);
+	effect.disconnect();
+	this.connect();
+};
+
+/**
+ * Moves an effect to a given index of the chain.
+ */
+EffectsChain.prototype.move = function (effect, index) {
+	var from = this.effects.indexOf(effect);
+
+	if (from === -1) {
+		return;
+	}
+
+	this.effects.splice(from, 1);
+	this.effects.splice(index, 0, effect);
+	this.connect();
+};
+
+/**
+ * Bypasses an effect of the chain, or puts it back.
+ */
+EffectsChain.prototype.bypass = function (effect, bypassed) {
+	effect.bypassed = bypassed === undefined ? true : !!bypassed;
+	this.connect();
+};
+
+/**
+ * Returns the settings of the effects of the chain, with null for
+ * custom effects.
+ */
+EffectsChain.prototype.toJSON = function () {
+	return this.effects.map(function (effect) {
+		var settings = effect.toJSON();
+
+		return settings && _.extend(settings, {bypassed: effect.bypassed});
+	});
+};
+
+/**
+ * Disconnects the chain from its destination.
+ */
+EffectsChain.prototype.disconnect = function () {
+	this.output.disconnect();
+};
+
+/**
+ * Adds methods managing the effects of the `chain` of an object
+ * to a given prototype.
+ */
+EffectsChain.mixin = function (prototype) {
+	// Inserts an effect at a given index, or at the end, and returns it.
+	prototype.addEffect = function (effect, index) {
+		return this.chain.add(effect, index);
+	};
+
+	prototype.removeEffect = function (effect) {
+		this.chain.remove(effect);
+	};
+
+	prototype.moveEffect = function (effect, index) {
+		this.chain.move(effect, index);
+	};
+
+	prototype.bypassEffect = function (effect, bypassed) {
+		this.chain.bypass(effect, bypassed);
+	};
+
+	prototype.getEffects = function () {
+		return this.chain.effects.slice();
+	};
+
+	// Returns the settings of the effects, to restore with setEffects.
+	prototype.getEffectSettings = function () {
+		return this.chain.toJSON();
+	};
+
+	// Replaces the effects with the given ones, e.g. stored settings.
+	prototype.setEffects = function (effects) {
+		var chain = this.chain;
+
+		chain.effects.slice().forEach(function (effect) {
+			chain.remove(effect);
+		});
+
+		return effects.filter(Boolean).map(function (effect) {
+			return chain.add(effect);
+		});
+	};
+};
+
+module.exports = {
+	Effect: Effect,
+	Equalizer: Equalizer,
+	Compressor: Compressor,
+	EffectsChain: EffectsChain,
+	PRESETS: PRESETS
+};
@@ -0,0 +1,66 @@
+/**
+ * Error types of diaes.js, used to reject the Promises of the
+ * Player. Their names follow the DOMException names used by
+ * HTMLMediaElement where one applies.
+ */
+
+
+'use strict';
+
+/**
+ * Creates an Error subtype with the given name. Instances hold
+ * an optional `detail`, e.g. the detail of an error event.
+ */
+function createError(name) {
+	var CustomError = function (message, detail) {
+		this.message = message;
+		this.detail = detail;
+
+		if (Error.captureStackTrace) {
+			Error.captureStackTrace(this, CustomError);
+		} else {
+			this.stack = (new Error(message)).stack;
+		}
+	};
+
+	CustomError.prototype = Object.create(Error.prototype);
+	CustomError.prototype.constructor = CustomError;
+	CustomError.prototype.name = name;
+
+	return CustomError;
+}
+
+/**
+ * An error of the media, mimicking the MediaError interface of
+ * HTMLMediaElement. Codes 1 to 4 match the standard ones, and
+ * MEDIA_ERR_ENCRYPTED is used for errors of the key delivery.
+ */
+var MediaError = function (code, message) {
+	this.code = code;
+	this.message = message || '';
+};
+
+MediaError.MEDIA_ERR_ABORTED           = MediaError.prototype.MEDIA_ERR_ABORTED           = 1;
+MediaError.MEDIA_ERR_NETWORK           = MediaError.prototype.MEDIA_ERR_NETWORK           = 2;
+MediaError.MEDIA_ERR_DECODE            = MediaError.prototype.MEDIA_ERR_DECODE            = 3;
+MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED = MediaError.prototype.MEDIA_ERR_SRC_NOT_SUPPORTED = 4;
+MediaError.MEDIA_ERR_ENCRYPTED         = MediaError.prototype.MEDIA_ERR_ENCRYPTED         = 5;
+
+module.exports = {
+	MediaError: MediaError,
+
+	// The AudioContext could not be resumed, e.g. because of an autoplay policy.
+	NotAllowedError: createError('NotAllowedError'),
+
+	// The metadata of the file could not be fetched.
+	MetadataError: createError('MetadataError'),
+
+	// The request was interrupted by a call to pause() or another seek.
+	AbortError: createError('AbortError'),
+
+	// The feature is not available in this browser, e.g. offline storage.
+	NotSupportedError: createError('NotSupportedError'),
+
+	// The requested item does not exist, e.g. a track of the playlist.
+	NotFoundError: createError('NotFoundError')
+};
@@ -0,0 +1,84 @@
+/**
+ * A minimal implementation of the DOM EventTarget interface,
+ * mixed into the prototypes of the Player and the Manager so
+ * that several listeners can observe the same object.
+ *
+ * Listeners are called with an event object holding the `type`
+ * of the event, its `target`, and an optional `detail`.
+ */
+
+
+'use strict';
+
+var EventTarget = {};
+
+/**
+ * Registers a listener for a given event type. The listener is
+ * either a function or an object with a `handleEvent` method.
+ */
+EventTarget.addEventListener = function (type, listener) {
+	this.listeners = this.listeners || {};
+	this.listeners[type] = this.listeners[type] || [];
+
+	if (this.listeners[type].indexOf(listener) === -1) {
+		this.listeners[type].push(listener);
+	}
+};
+
+/**
+ * Unregisters a listener for a given event type.
+ */
+EventTarget.removeEventListener = function (type, listener) {
+	var listeners = this.listeners && this.listeners[type];
+
+	if (!listeners) {
+		return;
+	}
+
+	var index = listeners.indexOf(listener);
+
+	if (index !== -1) {
+		listeners.splice(index, 1);
+	}
+};
+
+/**
+ * Calls every listener of the event's type with the event,
+ * which is either an event object or a type.
+ */
+EventTarget.dispatchEvent = function (event) {
+	if (typeof event === 'string') {
+		event = {type: event};
+	}
+
+	event.target = this;
+
+	// Listeners added or removed while dispatching are ignored.
+	var listeners = ((this.listeners && this.listeners[event.type]) || []).slice();
+
+	for (var i = 0; i < listeners.length; i++) {
+		try {
+			if (typeof listeners[i] === 'function') {
+				listeners[i].call(this, event);
+			} else {
+				listeners[i].handleEvent(event);
+			}
+		} catch (e) {
+			// A failing listener must not prevent the others from running.
+			console.error(e);
+		}
+	}
+
+	return true;
+};
+
+/**
+ * Adds the EventTarget methods to a given prototype.
+ */
+EventTarget.mixin = function (prototype) {
+	prototype.addEventListener = EventTarget.addEventListener;
+	prototype.removeEventListener = EventTarget.removeEventListener;
+	prototype.dispatchEvent = EventTarget.dispatchEvent;
+};
+
+module.exports = EventTarget;
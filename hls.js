@@ -0,0 +1,355 @@
+/**
+ * HLS playlists for diaes.js, as an alternative to the JSON manifest.
+ *
+ * Media playlists (M3U8) are mapped to the manifest format of the
+ * Reader: each media segment becomes a fragment, with its duration
+ * from `#EXTINF`, and the key URI and IV of the `#EXT-X-KEY` which
+ * applies to it. Segments encrypted with METHOD=AES-128 are AES-CBC
+ * with PKCS#7 padding, and their IV defaults to their media sequence
+ * number. Master playlists are mapped to one rendition per variant,
+ * whose segments must line up with those of the first variant: the
+ * variants with another number of segments are left out.
+ *
+ * Only packed audio segments are supported (AAC, MP3 or MP4 audio
+ * which decodeAudioData accepts), not byte ranges, initialization
+ * sections or SAMPLE-AES. Live playlists are read as a snapshot.
+ */
+
+
+'use strict';
+
+var Backend = require('./backend.js');
+
+var METHOD_NONE    = 'NONE';
+var METHOD_AES_128 = 'AES-128';
+
+// MIME types and codec names of the segments, by extension.
+var SEGMENT_TYPES = {
+	'.aac': {type: 'audio/aac', codec: 'aac'},
+	'.mp3': {type: 'audio/mpeg', codec: 'mp3'},
+	'.m4a': {type: 'audio/mp4; codecs="mp4a.40.2"', codec: 'aac'},
+	'.mp4': {type: 'audio/mp4; codecs="mp4a.40.2"', codec: 'aac'}
+};
+
+// MIME types and codec names of the segments, by RFC 6381 codec,
+// for segments without a known extension.
+var CODEC_TYPES = {
+	'mp4a.40.2': SEGMENT_TYPES['.aac'],
+	'mp4a.40.5': SEGMENT_TYPES['.aac'],
+	'mp4a.40.34': SEGMENT_TYPES['.mp3'],
+	'mp3': SEGMENT_TYPES['.mp3']
+};
+
+/**
+ * Checks whether a path points to an M3U8 playlist.
+ */
+function isPlaylist(path) {
+	return /\.m3u8?(\?|#|$)/i.test(path);
+}
+
+/**
+ * Resolves a URI relative to the URL of its playlist.
+ */
+function resolveUri(uri, base) {
+	if (/^[a-z][a-z0-9+.\-]*:/i.test(uri)) {
+		return uri;
+	}
+
+	if (uri.slice(0, 2) === '//') {
+		return (base.match(/^[a-z][a-z0-9+.\-]*:/i) || [''])[0] + uri;
+	}
+
+	if (uri.charAt(0) === '/') {
+		return (base.match(/^[a-z][a-z0-9+.\-]*:\/\/[^\/]*/i) || [''])[0] + uri;
+	}
+
+	return base.split(/[?#]/)[0].replace(/[^\/]*$/, '') + uri;
+}
+
+/**
+ * Parses an attribute list, e.g. `METHOD=AES-128,URI="key"`, into
+ * an object. Quoted strings are unquoted.
+ */
+function parseAttributes(list) {
+	var attributes = {};
+	var pattern = /([A-Z0-9\-]+)=("[^"]*"|[^,]*)/g;
+	var match;
+
+	while ((match = pattern.exec(list)) !== null) {
+		attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+	}
+
+	return attributes;
+}
+
+/**
+ * Returns the hex IV of the segment with a given media sequence
+ * number, which is the number as a 128 bit big-endian integer.
+ */
+function sequenceIV(sequence) {
+	var hex = sequence.toString(16);
+
+	return new Array(33 - hex.length).join('0') + hex;
+}
+
+/**
+ * Parses a playlist, and returns either a master playlist with the
+ * `variants` of the stream, each with its `uri`, `bandwidth` and
+ * `codecs`, or a media playlist with its `segments`, each with its
+ * `uri`, `duration`, `sequence` number and `key`.
+ *
+ * Throws an Error if the playlist is invalid or unsupported.
+ *
+ * @param {string} text The playlist.
+ * @param {string} url  The URL of the playlist, to resolve the URIs.
+ */
+function parse(text, url) {
+	var lines = text.split(/\r?\n/).map(function (line) {
+		return line.trim();
+	});
+
+	if (lines[0] !== '#EXTM3U') {
+		throw new Error('The playlist does not start with #EXTM3U.');
+	}
+
+	var variants = [];
+	var segments = [];
+	var sequence = 0;
+	var key = null;
+	var duration = null;
+	var variant = null;
+
+	for (var i = 1; i < lines.length; i++) {
+		var line = lines[i];
+		var colon = line.indexOf(':');
+		var tag = colon === -1 ? line : line.slice(0, colon);
+		var value = colon === -1 ? '' : line.slice(colon + 1);
+
+		if (!line) {
+			continue;
+		}
+
+		if (line.charAt(0) !== '#') {
+			if (variant) {
+				variant.uri = resolveUri(line, url);
+				variants.push(variant);
+				variant = null;
+			} else if (duration !== null) {
+				segments.push({uri: resolveUri(line, url), duration: duration, sequence: sequence, key: key});
+				sequence++;
+				duration = null;
+			}
+
+			continue;
+		}
+
+		switch (tag) {
+			case '#EXT-X-MEDIA-SEQUENCE':
+				sequence = parseInt(value, 10);
+				break;
+
+			case '#EXTINF':
+				duration = parseFloat(value);
+				break;
+
+			case '#EXT-X-KEY':
+				key = parseKey(parseAttributes(value), url);
+				break;
+
+			case '#EXT-X-STREAM-INF':
+				var attributes = parseAttributes(value);
+
+				variant = {
+					bandwidth: parseInt(attributes['AVERAGE-BANDWIDTH'] || attributes.BANDWIDTH, 10) || 0,
+					codecs: attributes.CODECS || null
+				};
+				break;
+
+			case '#EXT-X-BYTERANGE':
+			case '#EXT-X-MAP':
+				throw new Error(tag + ' is not supported.');
+		}
+	}
+
+	if (variants.length) {
+		return {variants: variants};
+	}
+
+	if (!segments.length) {
+		throw new Error('The playlist has no media segments.');
+	}
+
+	return {segments: segments};
+}
+
+/**
+ * Returns the key of the segments from the attributes of an
+ * #EXT-X-KEY tag, as its `uri` and `iv`, or null if they are
+ * not encrypted.
+ */
+function parseKey(attributes, url) {
+	var method = attributes.METHOD;
+
+	if (method === METHOD_NONE) {
+		return null;
+	}
+
+	if (method !== METHOD_AES_128) {
+		throw new Error('The encryption method ' + method + ' is not supported.');
+	}
+
+	if (attributes.KEYFORMAT && attributes.KEYFORMAT !== 'identity') {
+		throw new Error('The key format ' + attributes.KEYFORMAT + ' is not supported.');
+	}
+
+	var iv = attributes.IV ? attributes.IV.replace(/^0x/i, '') : null;
+
+	return {
+		uri: resolveUri(attributes.URI, url),
+		iv: iv ? new Array(33 - iv.length).join('0') + iv : null
+	};
+}
+
+/**
+ * Returns the MIME type and codec name of a segment.
+ */
+function segmentType(uri, codecs) {
+	var extension = (uri.split(/[?#]/)[0].match(/\.[a-z0-9]+$/i) || [''])[0].toLowerCase();
+	var type = SEGMENT_TYPES[extension];
+
+	if (!type && codecs) {
+		type = CODEC_TYPES[codecs.split(',')[0].trim()];
+	}
+
+	if (!type) {
+		throw new Error('The format of the segment ' + uri + ' is not supported.');
+	}
+
+	return type;
+}
+
+/**
+ * Maps the media playlists of the variants of a stream to a manifest
+ * which the Reader understands, with one fragment per segment and
+ * one rendition per variant. Each rendition has the cipher of its
+ * own segment, as the variants may be encrypted differently.
+ *
+ * The variants whose number of segments differs from that of the
+ * first variant cannot line up with its fragments, so they are
+ * left out of the manifest without notice.
+ *
+ * @param {Array} variants The variants, each with its `bandwidth`,
+ *                         `codecs` and media `playlist`.
+ */
+function toManifest(variants) {
+	var first = variants[0].playlist.segments;
+
+	// Variants are only usable as renditions if their segments line up.
+	variants = variants.filter(function (variant) {
+		return variant.playlist.segments.length === first.length;
+	});
+
+	var fragments = first.map(function (segment, index) {
+		return {
+			duration: segment.duration,
+			renditions: variants.map(function (variant) {
+				var current = variant.playlist.segments[index];
+				var type = segmentType(current.uri, variant.codecs);
+
+				return {
+					path: current.uri,
+					type: type.type,
+					codec: type.codec,
+					bitrate: variant.bandwidth,
+					cipher: current.key ? Backend.CIPHER_CBC : Backend.CIPHER_NONE,
+					keyUri: current.key ? current.key.uri : null,
+					iv: current.key ? current.key.iv || sequenceIV(current.sequence) : null
+				};
+			})
+		};
+	});
+
+	return {
+		format: 'hls',
+		duration: fragments.reduce(function (total, fragment) {
+			return total + fragment.duration;
+		}, 0),
+		fragments: fragments
+	};
+}
+
+/**
+ * Parses a playlist, fetching the media playlists of its variants if
+ * it is a master playlist, and passes the manifest to the callback
+ * as (error, manifest).
+ *
+ * @param {string}   text     The playlist.
+ * @param {string}   url      The URL of the playlist.
+ * @param {Function} fetch    Fetches the playlist at a given URL, and passes (error, text) to its callback.
+ * @param {Function} callback
+ */
+function load(text, url, fetch, callback) {
+	var playlist;
+
+	try {
+		playlist = parse(text, url);
+	} catch (error) {
+		return callback(error);
+	}
+
+	if (playlist.segments) {
+		return finish([{bandwidth: 0, codecs: null, playlist: playlist}]);
+	}
+
+	var variants = playlist.variants.slice().sort(function (a, b) {
+		return a.bandwidth - b.bandwidth;
+	});
+	var remaining = variants.length;
+	var failed = false;
+
+	variants.forEach(function (variant) {
+		fetch(variant.uri, function (error, text) {
+			if (failed) {
+				return;
+			}
+
+			try {
+				if (error) {
+					throw error;
+				}
+
+				variant.playlist = parse(text, variant.uri);
+
+				if (!variant.playlist.segments) {
+					throw new Error('A variant of the stream is not a media playlist.');
+				}
+			} catch (e) {
+				failed = true;
+				return callback(e);
+			}
+
+			if (--remaining === 0) {
+				finish(variants);
+			}
+		});
+	});
+
+	function finish(variants) {
+		var manifest;
+
+		try {
+			manifest = toManifest(variants);
+		} catch (error) {
+			return callback(error);
+		}
+
+		callback(null, manifest);
+	}
+}
+
+module.exports = {
+	isPlaylist: isPlaylist,
+	parse: parse,
+	toManifest: toManifest,
+	load: load
+};
@@ -0,0 +1,142 @@
+/**
+ * A stand-in license server for diaes.js.
+ *
+ * Serves the keys written by `diaes pack --key-ids` following the
+ * protocol described in `license.js`, so that the license mode of
+ * the Reader can be exercised locally. Can also serve a manifest,
+ * wrapping its keys for the session of the client as described in
+ * `session.js`. Not meant for production.
+ */
+
+
+'use strict';
+
+var http = require('http');
+var url = require('url');
+var nodeCrypto = require('crypto');
+var Crypto = require('./crypto.js');
+
+/**
+ * Sends a JSON response, allowing cross-origin requests.
+ */
+function send(response, status, body) {
+	response.writeHead(status, {
+		'Content-Type': 'application/json',
+		'Access-Control-Allow-Origin': '*',
+		'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+		'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+	});
+
+	response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Returns a copy of the manifest whose keys, including those of
+ * the renditions, are wrapped for the client session with the
+ * given raw public key (hex).
+ */
+function wrapManifest(manifest, clientPublicKey) {
+	var ecdh = nodeCrypto.createECDH('prime256v1');
+	ecdh.generateKeys();
+
+	var secret = ecdh.computeSecret(Buffer.from(clientPublicKey, 'hex'));
+	var kek = new Uint8Array(nodeCrypto.createHash('sha256').update(secret).digest()).buffer;
+	var wrapped = JSON.parse(JSON.stringify(manifest));
+
+	// Wraps the key of a fragment or of one of its renditions, if any.
+	function wrapKey(holder) {
+		if (holder && typeof holder === 'object' && holder.key) {
+			var key = new Uint8Array(Buffer.from(holder.key, 'hex')).buffer;
+
+			holder.key = Buffer.from(Crypto.wrap_aes_kw(key, kek)).toString('hex');
+		}
+	}
+
+	wrapped.wrapping = {publicKey: ecdh.getPublicKey('hex')};
+	wrapped.fragments.forEach(function (fragment) {
+		wrapKey(fragment);
+		(fragment.renditions || []).forEach(wrapKey);
+
+		for (var type in fragment.types || {}) {
+			wrapKey(fragment.types[type]);
+		}
+	});
+
+	return wrapped;
+}
+
+/**
+ * Creates a license server.
+ *
+ * @param {Object} keys             The hex keys, by key ID.
+ * @param {Object} options
+ * @param {string} options.token    The expected bearer token, if any.
+ * @param {number} options.ttl      The lifetime of the delivered keys, in seconds.
+ * @param {Array}  options.deny     Key IDs for which licenses are always denied.
+ * @param {Object} options.manifest A manifest to serve on GET requests, with
+ *                                  keys wrapped when a `publicKey` is given.
+ */
+function createServer(keys, options) {
+	options = options || {};
+
+	return http.createServer(function (request, response) {
+		if (request.method === 'OPTIONS') {
+			return send(response, 204);
+		}
+
+		if (request.method === 'GET' && options.manifest) {
+			var publicKey = url.parse(request.url, true).query.publicKey;
+
+			try {
+				return send(response, 200, publicKey ? wrapManifest(options.manifest, publicKey) : options.manifest);
+			} catch (e) {
+				return send(response, 400, {error: 'Invalid public key.'});
+			}
+		}
+
+		if (request.method !== 'POST') {
+			return send(response, 405, {error: 'Method not allowed.'});
+		}
+
+		if (options.token && request.headers.authorization !== 'Bearer ' + options.token) {
+			return send(response, 401, {error: 'Invalid token.'});
+		}
+
+		var body = '';
+
+		request.on('data', function (chunk) {
+			body += chunk;
+		});
+
+		request.on('end', function () {
+			var kids;
+
+			try {
+				kids = JSON.parse(body).kids;
+			} catch (e) {
+				return send(response, 400, {error: 'Invalid request.'});
+			}
+
+			if (!Array.isArray(kids)) {
+				return send(response, 400, {error: 'Invalid request.'});
+			}
+
+			for (var i = 0; i < kids.length; i++) {
+				if (!keys[kids[i]] || (options.deny || []).indexOf(kids[i]) !== -1) {
+					return send(response, 403, {error: 'License denied for key ' + kids[i] + '.'});
+				}
+			}
+
+			send(response, 200, {
+				keys: kids.map(function (kid) {
+					return {kid: kid, key: keys[kid], expiresIn: options.ttl || null};
+				})
+			});
+		});
+	});
+}
+
+module.exports = {
+	createServer: createServer,
+	wrapManifest: wrapManifest
+};
@@ -0,0 +1,144 @@
+/**
+ * License client for diaes.js.
+ *
+ * When a manifest only lists key IDs (`kid`) instead of keys, the
+ * keys are requested lazily from a license endpoint:
+ *
+ *   POST <licenseUrl>
+ *   Authorization: Bearer <licenseToken>
+ *   {"kids": ["<kid>", ...]}
+ *
+ * which answers with
+ *
+ *   {"keys": [{"kid": "<kid>", "key": "<hex>", "expiresIn": <seconds>}, ...]}
+ *
+ * or with a 401 or 403 status and `{"error": "<reason>"}` when the
+ * license is denied. Keys are cached until they expire, and are
+ * requested again whenever they are needed past their expiry.
+ *
+ * Requests time out and are retried like the other requests of the
+ * Reader, see `network.js`.
+ */
+
+
+'use strict';
+
+var Network = require('./network.js');
+
+// Renew keys slightly before they actually expire.
+var RENEWAL_MARGIN = 5000;
+
+/**
+ * A client for the license endpoint at `url`, authenticated
+ * with the given bearer token, whose requests use the timeout
+ * and retry `options` of `Network.get`.
+ */
+var LicenseClient = function (url, token, options) {
+	this.url = url;
+	this.token = token;
+	this.options = options || {};
+
+	this.licenses = {}; // Cached licenses, by key ID
+	this.pending = {};  // Callbacks waiting for a request, by key ID
+};
+
+/**
+ * Replaces the token used for the next requests, e.g. once
+ * the previous one has expired.
+ */
+LicenseClient.prototype.setToken = function (token) {
+	this.token = token;
+};
+
+/**
+ * Checks whether a cached license is still usable.
+ */
+LicenseClient.prototype.isValid = function (kid) {
+	var license = this.licenses[kid];
+
+	return !!license && (license.expiresAt === null || license.expiresAt - RENEWAL_MARGIN > Date.now());
+};
+
+/**
+ * Fetches the key with the given ID, and passes it to the
+ * callback as (error, key), with `key` a hex string.
+ */
+LicenseClient.prototype.getKey = function (kid, callback) {
+	if (this.isValid(kid)) {
+		return callback(null, this.licenses[kid].key);
+	}
+
+	// Maybe the key was already requested?
+	if (this.pending[kid]) {
+		this.pending[kid].push(callback);
+		return;
+	}
+
+	this.pending[kid] = [callback];
+	this.request([kid]);
+};
+
+/**
+ * Requests the given keys from the license endpoint. Errors hold
+ * the `kid`, and the `status` and `message` of the failed request.
+ */
+LicenseClient.prototype.request = function (kids) {
+	var that = this;
+	var options = {};
+
+	for (var name in this.options) {
+		options[name] = this.options[name];
+	}
+
+	options.responseType = 'json';
+	options.headers = {
+		'Content-Type': 'application/json',
+		Authorization: 'Bearer ' + this.token
+	};
+
+	Network.post(this.url, {kids: kids}, options, function (error, response) {
+		if (error) {
+			kids.forEach(function (kid) {
+				that.resolve(kid, {kid: kid, status: error.status, message: (error.body && error.body.error) || error.message});
+			});
+			return;
+		}
+
+		(response.keys || []).forEach(function (license) {
+			that.licenses[license.kid] = {
+				key: license.key,
+				expiresAt: license.expiresIn ? Date.now() + license.expiresIn * 1000 : null
+			};
+		});
+
+		kids.forEach(function (kid) {
+			if (that.licenses[kid]) {
+				that.resolve(kid, null, that.licenses[kid].key);
+			} else {
+				that.resolve(kid, {kid: kid, status: 200, message: 'Missing key in license response.'});
+			}
+		});
+	});
+};
+
+/**
+ * Calls every callback waiting for the given key.
+ */
+LicenseClient.prototype.resolve = function (kid, error, key) {
+	var callbacks = this.pending[kid] || [];
+
+	delete this.pending[kid];
+
+	for (var i = 0; i < callbacks.length; i++) {
+		callbacks[i](error, key);
+	}
+};
+
+/**
+ * Forgets every cached key.
+ */
+LicenseClient.prototype.clear = function () {
+	this.licenses = {};
+};
+
+module.exports = LicenseClient;
@@ -0,0 +1,190 @@
+/**
+ * HTTP requests with timeouts and retries for diaes.js.
+ *
+ * Failed requests are retried with an exponential backoff and
+ * jitter, as long as the failure may be transient: network errors,
+ * timeouts, and 408, 429 or 5xx statuses. Only idempotent requests
+ * may be posted, as they may be sent more than once.
+ */
+
+
+'use strict';
+
+var DEFAULTS = {
+	responseType: 'arraybuffer', // Either `arraybuffer`, `text` or `json`
+	timeout: 10000,              // Timeout of each attempt, in milliseconds
+	retries: 3,                  // Number of retries after the first attempt
+	retryDelay: 500,             // Base delay before the first retry, in milliseconds
+	maxRetryDelay: 8000,         // Maximum delay between two attempts, in milliseconds
+	headers: {}                  // Headers of the request, by name
+};
+
+/**
+ * Appends the given parameters to the query string of a URL.
+ */
+function withParams(url, params) {
+	var query = [];
+
+	for (var name in params) {
+		if (params.hasOwnProperty(name) && params[name] !== undefined) {
+			query.push(encodeURIComponent(name) + '=' + encodeURIComponent(params[name]));
+		}
+	}
+
+	if (!query.length) {
+		return url;
+	}
+
+	return url + (url.indexOf('?') === -1 ? '?' : '&') + query.join('&');
+}
+
+/**
+ * Checks whether a failed attempt is worth retrying.
+ */
+function isTransient(status) {
+	return status === 0 || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Returns the delay before the given retry, doubling at every
+ * retry and randomized between half and all of that value so
+ * that clients do not retry in lockstep.
+ */
+function retryDelay(options, retry) {
+	var delay = Math.min(options.maxRetryDelay, options.retryDelay * Math.pow(2, retry));
+
+	return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Parses a JSON body, returning null if it is not valid JSON.
+ */
+function parseJSON(text) {
+	try {
+		return JSON.parse(text);
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * Performs a single attempt, and passes (error, response) to the
+ * callback. Errors hold the `status` of the response (0 if none),
+ * a `message`, and the parsed JSON `body` of the response if any.
+ */
+function attempt(method, url, body, options, callback) {
+	var request = new XMLHttpRequest();
+	var done = false;
+
+	function finish(error, response) {
+		if (done) {
+			return;
+		}
+
+		done = true;
+		clearTimeout(timer);
+		callback(error, response);
+	}
+
+	var timer = setTimeout(function () {
+		request.abort();
+		finish({status: 0, message: 'Request timed out.'});
+	}, options.timeout);
+
+	request.open(method, url, true);
+	request.responseType = options.responseType === 'json' ? 'text' : options.responseType;
+
+	for (var name in options.headers) {
+		if (options.headers.hasOwnProperty(name)) {
+			request.setRequestHeader(name, options.headers[name]);
+		}
+	}
+
+	request.onload = function () {
+		if (request.status < 200 || request.status >= 300) {
+			var body = options.responseType === 'json' ? parseJSON(request.response) : null;
+
+			return finish({status: request.status, message: request.statusText, body: body});
+		}
+
+		if (options.responseType !== 'json') {
+			return finish(null, request.response);
+		}
+
+		var parsed = parseJSON(request.response);
+
+		if (parsed === null) {
+			return finish({status: request.status, message: 'Invalid JSON response.'});
+		}
+
+		finish(null, parsed);
+	};
+
+	request.onerror = function () {
+		finish({status: 0, message: 'Network error.'});
+	};
+
+	request.send(body);
+}
+
+/**
+ * Sends a request, retrying on transient failures, and passes
+ * (error, response) to the callback once it succeeds or gives up.
+ */
+function send(method, url, body, options, callback) {
+	var settings = {};
+
+	for (var name in DEFAULTS) {
+		settings[name] = options[name] !== undefined ? options[name] : DEFAULTS[name];
+	}
+
+	url = withParams(url, options.params || {});
+
+	function tryAgain(retry) {
+		attempt(method, url, body, settings, function (error, response) {
+			if (!error) {
+				return callback(null, response);
+			}
+
+			if (retry >= settings.retries || !isTransient(error.status)) {
+				return callback(error);
+			}
+
+			setTimeout(function () {
+				tryAgain(retry + 1);
+			}, retryDelay(settings, retry));
+		});
+	}
+
+	tryAgain(0);
+}
+
+/**
+ * Fetches a URL, retrying on transient failures, and passes
+ * (error, response) to the callback once it succeeds or gives up.
+ *
+ * @param {string}   url
+ * @param {Object}   options  See DEFAULTS, plus the query `params`.
+ * @param {Function} callback
+ */
+function get(url, options, callback) {
+	send('GET', url, null, options, callback);
+}
+
+/**
+ * Posts a body to a URL, serialized as JSON, retrying like `get`.
+ *
+ * @param {string}   url
+ * @param {Object}   body
+ * @param {Object}   options  See `get`, with the `Content-Type` in the `headers`.
+ * @param {Function} callback
+ */
+function post(url, body, options, callback) {
+	send('POST', url, JSON.stringify(body), options, callback);
+}
+
+module.exports = {
+	get: get,
+	post: post,
+	isTransient: isTransient
+};
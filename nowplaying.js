@@ -0,0 +1,231 @@
+/**
+ * Media Session integration of diaes.js.
+ *
+ * As the audio plays through Web Audio rather than a media element,
+ * the browser does not know what is playing. The last player of the
+ * Manager to start playing is published to `navigator.mediaSession`,
+ * so that the lock screen and the system media controls show its
+ * title, artist, album and artwork, and so that the media keys and
+ * the headset buttons control it.
+ */
+
+
+'use strict';
+
+// Seek offset of the seekbackward and seekforward actions, unless
+// the browser gives one, in seconds.
+var SEEK_OFFSET = 10.0;
+
+// The player events which change the playback or the position state.
+var STATE_EVENTS = ['play', 'playing', 'pause', 'ended', 'seeked', 'ratechange', 'timeupdate', 'error'];
+
+/**
+ * Ignores the rejections of the actions.
+ */
+function ignore() {}
+
+/**
+ * Returns the Media Session of the browser, if any.
+ */
+function getMediaSession() {
+	return typeof navigator !== 'undefined' && navigator.mediaSession || null;
+}
+
+/**
+ * Publishes the players of a manager to the Media Session.
+ */
+var NowPlaying = function (manager) {
+	this.manager = manager;
+	this.session = getMediaSession();
+	this.player = null; // The player shown as now playing
+
+	this.setActionHandlers();
+};
+
+/**
+ * Checks whether the Media Session API is available in this browser.
+ */
+NowPlaying.isSupported = function () {
+	return getMediaSession() !== null;
+};
+
+/**
+ * Returns a new integration, or null if the Media Session API
+ * is unavailable.
+ */
+NowPlaying.create = function (manager) {
+	return NowPlaying.isSupported() ? new NowPlaying(manager) : null;
+};
+
+/**
+ * Sets the handler of a Media Session action, which the browser
+ * may not support.
+ */
+NowPlaying.prototype.setActionHandler = function (action, handler) {
+	try {
+		this.session.setActionHandler(action, handler);
+	} catch (e) {
+		// The action is not supported by this browser.
+	}
+};
+
+/**
+ * Wires the Media Session actions to the current player.
+ */
+NowPlaying.prototype.setActionHandlers = function () {
+	var that = this;
+
+	this.setActionHandler('play', function () {
+		if (that.player) {
+			that.player.play().catch(ignore);
+		}
+	});
+
+	this.setActionHandler('pause', function () {
+		if (that.player) {
+			that.player.pause();
+		}
+	});
+
+	this.setActionHandler('seekto', function (details) {
+		if (that.player) {
+			that.player.seek(details.seekTime).catch(ignore);
+		}
+	});
+
+	this.setActionHandler('seekbackward', function (details) {
+		if (that.player) {
+			that.player.seek(Math.max(0, that.player.currentTime - (details.seekOffset || SEEK_OFFSET))).catch(ignore);
+		}
+	});
+
+	this.setActionHandler('seekforward', function (details) {
+		if (that.player) {
+			var time = that.player.currentTime + (details.seekOffset || SEEK_OFFSET);
+
+			that.player.seek(that.player.duration ? Math.min(time, that.player.duration) : time).catch(ignore);
+		}
+	});
+
+	this.setTrackHandlers();
+};
+
+/**
+ * Wires the previous and next track actions to the playlist of the
+ * manager while it plays the current player, and removes them
+ * otherwise so that the system hides the matching buttons.
+ */
+NowPlaying.prototype.setTrackHandlers = function () {
+	var playlist = this.manager.playlist;
+	var inPlaylist = !!this.player && playlist.player === this.player;
+
+	this.setActionHandler('previoustrack', inPlaylist ? function () {
+		playlist.previous().catch(ignore);
+	} : null);
+
+	this.setActionHandler('nexttrack', inPlaylist ? function () {
+		playlist.next().catch(ignore);
+	} : null);
+};
+
+/**
+ * Follows the events of a player, which becomes the current one
+ * once it starts playing.
+ */
+NowPlaying.prototype.watch = function (player) {
+	var that = this;
+
+	player.addEventListener('play', function () {
+		if (that.player !== player) {
+			that.activate(player);
+		}
+	});
+
+	player.addEventListener('loadedmetadata', function () {
+		if (that.player === player) {
+			that.updateMetadata();
+		}
+	});
+
+	STATE_EVENTS.forEach(function (type) {
+		player.addEventListener(type, function () {
+			if (that.player === player) {
+				that.updateState();
+			}
+		});
+	});
+};
+
+/**
+ * Makes a given player the current one.
+ */
+NowPlaying.prototype.activate = function (player) {
+	this.player = player;
+
+	this.updateMetadata();
+	this.updateState();
+	this.setTrackHandlers();
+};
+
+/**
+ * Stops showing a given player, e.g. once destroyed.
+ */
+NowPlaying.prototype.release = function (player) {
+	if (this.player !== player) {
+		return;
+	}
+
+	this.player = null;
+	this.session.metadata = null;
+	this.session.playbackState = 'none';
+	this.setPositionState(null);
+	this.setTrackHandlers();
+};
+
+/**
+ * Publishes the title, artist, album and artwork of the current player.
+ */
+NowPlaying.prototype.updateMetadata = function () {
+	if (typeof MediaMetadata === 'undefined') {
+		return;
+	}
+
+	this.session.metadata = new MediaMetadata(this.player.getMediaMetadata());
+};
+
+/**
+ * Publishes the playback and position state of the current player.
+ */
+NowPlaying.prototype.updateState = function () {
+	var player = this.player;
+	var duration = player.duration;
+
+	this.session.playbackState = player.paused || player.finished || player.error ? 'paused' : 'playing';
+
+	// The position state needs a known duration.
+	if (duration > 0 && isFinite(duration)) {
+		this.setPositionState({
+			duration: duration,
+			playbackRate: player.playbackRate,
+			position: Math.max(0, Math.min(player.currentTime, duration))
+		});
+	}
+};
+
+/**
+ * Sets the position state, which the browser may not support, or
+ * clears it if null.
+ */
+NowPlaying.prototype.setPositionState = function (state) {
+	if (!this.session.setPositionState) {
+		return;
+	}
+
+	try {
+		this.session.setPositionState(state || undefined);
+	} catch (e) {
+		console.warn('Could not set the position state:', e);
+	}
+};
+
+module.exports = NowPlaying;
@@ -0,0 +1,347 @@
+/**
+ * Packaging of audio fragments for diaes.js.
+ *
+ * Encrypts per-fragment audio files with a random 256 bit key
+ * each, and produces the metadata manifest expected by
+ * `Reader.fetchMetadata`:
+ *
+ *   {
+ *     duration: 183.5,
+ *     fragments: [{key, types: {<MIME type>: {path, iv[, tag]}}[, cipher, duration]}, ...]
+ *   }
+ *
+ * The versions of a fragment in different formats (Opus, Vorbis,
+ * AAC, FLAC or MP3) are listed in `types` by MIME type, and each
+ * one is encrypted with a distinct random IV.
+ *
+ * The `cipher` field is only written for ciphers other than
+ * AES-CBC, which is the Reader's default. With AES-GCM, each
+ * version also gets the authentication `tag` of its content.
+ *
+ * With the `keyIds` option, the manifest only lists a key ID (`kid`)
+ * for each fragment, and the keys are written to the `keys` file
+ * meant for the license server. As the output directory is meant
+ * to be served publicly, the keys file must lie outside of it.
+ */
+
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var randomBytes = require('crypto').randomBytes;
+var Crypto = require('./crypto.js');
+var toHex = require('./backend.js').toHex;
+
+var KEY_SIZE = 32;
+var KID_SIZE = 16;
+var IV_SIZE  = 16;
+
+var GCM_IV_SIZE = 12;
+
+var CIPHERS = ['aes-cbc', 'aes-ctr', 'aes-gcm'];
+
+// How far the total duration may be from the sum of the durations
+// of the fragments, when both are given, in seconds.
+var DURATION_TOLERANCE = 0.01;
+
+// The info of the track which may be written to the manifest.
+var INFO_FIELDS = ['title', 'artist', 'album', 'artwork'];
+
+var EXTENSIONS = {
+	'.opus': {type: 'audio/ogg; codecs="opus"', suffix: 'o'},
+	'.ogg':  {type: 'audio/ogg; codecs="vorbis"', suffix: 'v'},
+	'.oga':  {type: 'audio/ogg; codecs="vorbis"', suffix: 'v'},
+	'.m4a':  {type: 'audio/mp4; codecs="mp4a.40.2"', suffix: 'a'},
+	'.flac': {type: 'audio/flac', suffix: 'f'},
+	'.mp3':  {type: 'audio/mpeg', suffix: 'm'}
+};
+
+/**
+ * Compares two file names, treating digit runs as numbers so
+ * that `fragment-2` comes before `fragment-10`.
+ */
+function compareNames(a, b) {
+	var chunksA = a.match(/\d+|\D+/g) || [];
+	var chunksB = b.match(/\d+|\D+/g) || [];
+
+	for (var i = 0; i < Math.min(chunksA.length, chunksB.length); i++) {
+		var x = chunksA[i], y = chunksB[i];
+
+		if (x === y) {
+			continue;
+		}
+
+		if (/^\d/.test(x) && /^\d/.test(y)) {
+			return parseInt(x, 10) - parseInt(y, 10);
+		}
+
+		return x < y ? -1 : 1;
+	}
+
+	return chunksA.length - chunksB.length;
+}
+
+/**
+ * Groups the input files into fragments, matching the versions
+ * of a fragment in different formats by their name without
+ * extension. Every fragment must come in the same formats.
+ *
+ * @param {Array} files The paths of the input files.
+ */
+function groupFragments(files) {
+	var groups = {};
+
+	files.forEach(function (file) {
+		var extension = path.extname(file).toLowerCase();
+		var format = EXTENSIONS[extension];
+
+		if (!format) {
+			throw new Error('Unsupported fragment format: ' + file);
+		}
+
+		var name = path.basename(file, path.extname(file));
+		groups[name] = groups[name] || {name: name, versions: {}};
+
+		if (groups[name].versions[format.type]) {
+			throw new Error('Duplicate fragment: ' + file);
+		}
+
+		groups[name].versions[format.type] = {file: file, suffix: format.suffix};
+	});
+
+	var names = Object.keys(groups).sort(compareNames);
+	var types = names.length ? Object.keys(groups[names[0]].versions).sort().join(', ') : '';
+
+	return names.map(function (name) {
+		var group = groups[name];
+
+		if (Object.keys(group.versions).sort().join(', ') !== types) {
+			throw new Error('Fragment ' + name + ' must come in the same formats as the others (' + types + ').');
+		}
+
+		return group;
+	});
+}
+
+/**
+ * Draws a random IV for the next file encrypted with a given key,
+ * which differs from the IVs already `used` with that key.
+ */
+function freshIV(cipher, used) {
+	var iv;
+
+	do {
+		iv = toHex(randomBytes(cipher === 'aes-gcm' ? GCM_IV_SIZE : IV_SIZE));
+	} while (used.indexOf(iv) !== -1);
+
+	used.push(iv);
+
+	return Buffer.from(iv, 'hex');
+}
+
+/**
+ * Encrypts the content of a Buffer using either AES-CBC with
+ * PKCS padding, AES-CTR with the IV as initial counter block,
+ * or AES-GCM. Returns the encrypted Buffer, and the tag if any.
+ */
+function encryptBuffer(buffer, cipher, key, iv) {
+	var input = new Uint8Array(buffer).buffer;
+	var keyBuffer = new Uint8Array(key).buffer;
+	var ivBuffer = new Uint8Array(iv).buffer;
+
+	switch (cipher) {
+		case 'aes-gcm':
+			var result = Crypto.encrypt_aes_gcm(input, keyBuffer, ivBuffer);
+
+			return {data: Buffer.from(result.buffer), tag: Buffer.from(result.tag)};
+		case 'aes-ctr':
+			return {data: Buffer.from(Crypto.encrypt_aes_ctr(input, keyBuffer, ivBuffer))};
+		default:
+			return {data: Buffer.from(Crypto.encrypt_aes_cbc(Crypto.pkcs_pad(input), keyBuffer, ivBuffer))};
+	}
+}
+
+/**
+ * Encrypts a fragment file and writes it to the output directory.
+ * The callback receives the tag of the encrypted content, if any.
+ */
+function packFile(input, output, cipher, key, iv, callback) {
+	fs.readFile(input, function (error, data) {
+		if (error) {
+			return callback(error);
+		}
+
+		var encrypted = encryptBuffer(data, cipher, key, iv);
+
+		fs.writeFile(output, encrypted.data, function (error) {
+			callback(error || null, encrypted.tag);
+		});
+	});
+}
+
+/**
+ * Encrypts every fragment and writes the manifest.
+ *
+ * @param {Array}    files            The paths of the input files.
+ * @param {Object}   options
+ * @param {string}   options.output   The output directory.
+ * @param {number}   options.duration The total duration of the track, in seconds.
+ * @param {string}   options.baseUrl  The prefix of the paths in the manifest.
+ * @param {string}   options.cipher   Either `aes-cbc` (default), `aes-ctr` or `aes-gcm`.
+ * @param {boolean}  options.keyIds   Whether to list key IDs instead of keys in the manifest.
+ * @param {string}   options.keys     The path of the keys file, outside of the output directory (required with `keyIds`).
+ * @param {Array}    options.fragmentDurations The duration of each fragment, in seconds, which
+ *                                    must add up to `duration` if both are given.
+ * @param {Object}   options.info     The `title`, `artist`, `album` and `artwork` URL of the track, if any.
+ * @param {Function} callback         Called with (error, manifest).
+ */
+function pack(files, options, callback) {
+	var fragments;
+
+	try {
+		fragments = groupFragments(files);
+	} catch (error) {
+		return callback(error);
+	}
+
+	if (!fragments.length) {
+		return callback(new Error('No fragments to pack.'));
+	}
+
+	var durations = options.fragmentDurations;
+
+	if (durations && durations.length !== fragments.length) {
+		return callback(new Error('Expected ' + fragments.length + ' fragment durations, got ' + durations.length + '.'));
+	}
+
+	var total = durations ? durations.reduce(function (a, b) { return a + b; }, 0) : null;
+
+	if (total !== null && options.duration && Math.abs(options.duration - total) > DURATION_TOLERANCE) {
+		return callback(new Error('The fragment durations add up to ' + total + ' seconds, not ' + options.duration + '.'));
+	}
+
+	var cipher = options.cipher || 'aes-cbc';
+
+	if (CIPHERS.indexOf(cipher) === -1) {
+		return callback(new Error('Unsupported cipher: ' + cipher));
+	}
+
+	if (options.keyIds) {
+		if (!options.keys) {
+			return callback(new Error('Key IDs need a path to write the keys to.'));
+		}
+
+		var relative = path.relative(path.resolve(options.output), path.resolve(options.keys));
+
+		if (!relative || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative))) {
+			return callback(new Error('The keys must not be written into the output directory.'));
+		}
+	}
+
+	var baseUrl = options.baseUrl || '';
+	var manifest = {
+		duration: options.duration || total,
+		fragments: []
+	};
+	var keys = {};
+
+	// The player shows the info of the track as now playing.
+	INFO_FIELDS.forEach(function (field) {
+		if (options.info && options.info[field]) {
+			manifest[field] = options.info[field];
+		}
+	});
+
+	function writeManifest() {
+		var manifestPath = path.join(options.output, 'manifest.json');
+
+		fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2), function (error) {
+			callback(error || null, manifest);
+		});
+	}
+
+	function next(number) {
+		if (number >= fragments.length) {
+			if (!options.keyIds) {
+				return writeManifest();
+			}
+
+			return fs.writeFile(options.keys, JSON.stringify(keys, null, 2), function (error) {
+				if (error) {
+					return callback(error);
+				}
+
+				writeManifest();
+			});
+		}
+
+		var key = randomBytes(KEY_SIZE);
+		var versions = fragments[number].versions;
+		var types = Object.keys(versions);
+
+		var fragment = {
+			key: toHex(key),
+			types: {}
+		};
+
+		if (options.keyIds) {
+			fragment.kid = toHex(randomBytes(KID_SIZE));
+			keys[fragment.kid] = fragment.key;
+			delete fragment.key;
+		}
+
+		if (cipher !== 'aes-cbc') {
+			fragment.cipher = cipher;
+		}
+
+		if (durations) {
+			fragment.duration = durations[number];
+		}
+
+		// The versions share the key of the fragment, so each encrypted
+		// file gets a fresh IV: with AES-CTR (and AES-GCM, which builds on
+		// it), a repeated IV would repeat the keystream across files.
+		var ivs = [];
+
+		function nextVersion(index) {
+			if (index >= types.length) {
+				manifest.fragments.push(fragment);
+				return next(number + 1);
+			}
+
+			var version = versions[types[index]];
+			var name = number + '.' + version.suffix + '.bin';
+			var iv = freshIV(cipher, ivs);
+
+			packFile(version.file, path.join(options.output, name), cipher, key, iv, function (error, tag) {
+				if (error) {
+					return callback(error);
+				}
+
+				fragment.types[types[index]] = {path: baseUrl + name, iv: toHex(iv)};
+
+				if (tag) {
+					fragment.types[types[index]].tag = toHex(tag);
+				}
+
+				nextVersion(index + 1);
+			});
+		}
+
+		nextVersion(0);
+	}
+
+	fs.mkdir(options.output, function (error) {
+		if (error && error.code !== 'EEXIST') {
+			return callback(error);
+		}
+
+		next(0);
+	});
+}
+
+module.exports = {
+	pack: pack,
+	groupFragments: groupFragments
+};
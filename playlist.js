@@ -0,0 +1,417 @@
+/**
+ * A playlist of files for diaes.js, owned by a Manager.
+ *
+ * The playlist holds one player for the current track, and
+ * advances to the next track once it ends. While the current
+ * track nears its end, the metadata and the first fragment of the
+ * next track are loaded by a second player, so that the next track
+ * starts right away.
+ *
+ * Dispatches `trackchange` events whose detail holds the `index`,
+ * `path` and `player` of the new track, `change` events whenever
+ * the tracks or their order change, and an `ended` event once the
+ * last track ends.
+ */
+
+
+'use strict';
+
+var EventTarget = require('./events.js');
+var Errors = require('./errors.js');
+
+var REPEAT_NONE = 'none';
+var REPEAT_ALL  = 'all';
+var REPEAT_ONE  = 'one';
+
+// Going to the previous track past this time restarts the current
+// one instead, in seconds.
+var RESTART_THRESHOLD = 3.0;
+
+/**
+ * Returns a shuffled copy of an array.
+ */
+function shuffled(array) {
+	var copy = array.slice();
+
+	for (var i = copy.length - 1; i > 0; i--) {
+		var j = Math.floor(Math.random() * (i + 1));
+		var swap = copy[i];
+
+		copy[i] = copy[j];
+		copy[j] = swap;
+	}
+
+	return copy;
+}
+
+/**
+ * Creates an empty playlist for the given manager.
+ */
+var Playlist = function (manager) {
+	this.manager = manager;
+
+	this.items = [];     // The tracks, as {path} objects
+	this.order = [];     // The tracks, in playing order
+	this.current = null; // The current track
+	this.player = null;  // The player of the current track
+	this.preloaded = null; // The next track and its player, once preloaded
+};
+
+Playlist.prototype = {
+	shuffle: false,
+	repeat: REPEAT_NONE,
+	preloadTime: 20.0,  // How long before the end of a track to preload the next one, in seconds
+	playerConfig: {},   // The config of the players of the tracks
+
+	get length() {
+		return this.items.length;
+	},
+
+	get index() {
+		return this.items.indexOf(this.current);
+	}
+};
+
+EventTarget.mixin(Playlist.prototype);
+
+Playlist.REPEAT_NONE = REPEAT_NONE;
+Playlist.REPEAT_ALL  = REPEAT_ALL;
+Playlist.REPEAT_ONE  = REPEAT_ONE;
+
+/**
+ * Adds the file with the given metadata path at a given index,
+ * or at the end of the playlist.
+ */
+Playlist.prototype.add = function (path, index) {
+	var item = {path: path};
+
+	index = index === undefined ? this.items.length : index;
+	this.items.splice(index, 0, item);
+
+	if (this.shuffle) {
+		// New tracks are played at a random time after the current one.
+		var position = this.order.indexOf(this.current) + 1;
+		this.order.splice(position + Math.floor(Math.random() * (this.order.length - position + 1)), 0, item);
+	} else {
+		this.order = this.items.slice();
+	}
+
+	this.changed();
+};
+
+/**
+ * Removes the track at a given index. Removing the current track
+ * goes on to the next one.
+ */
+Playlist.prototype.remove = function (index) {
+	var item = this.items[index];
+
+	if (!item) {
+		return;
+	}
+
+	if (item === this.current) {
+		var playing = !this.player.paused;
+		var next = this.peek(1);
+
+		if (next && next !== item) {
+			this.select(next, playing);
+		} else {
+			this.stop();
+		}
+	}
+
+	this.items.splice(index, 1);
+	this.order.splice(this.order.indexOf(item), 1);
+
+	this.changed();
+};
+
+/**
+ * Moves the track at a given index to another index.
+ */
+Playlist.prototype.move = function (from, to) {
+	var item = this.items.splice(from, 1)[0];
+
+	if (!item) {
+		return;
+	}
+
+	this.items.splice(to, 0, item);
+
+	if (!this.shuffle) {
+		this.order = this.items.slice();
+	}
+
+	this.changed();
+};
+
+/**
+ * Removes every track.
+ */
+Playlist.prototype.clear = function () {
+	this.stop();
+
+	this.items = [];
+	this.order = [];
+
+	this.changed();
+};
+
+/**
+ * Turns the shuffle mode on or off. The current track stays the
+ * current one, and the others are played in a random order.
+ */
+Playlist.prototype.setShuffle = function (shuffle) {
+	this.shuffle = !!shuffle;
+
+	if (this.shuffle) {
+		var others = this.items.filter(function (item) {
+			return item !== this.current;
+		}, this);
+
+		this.order = (this.current ? [this.current] : []).concat(shuffled(others));
+	} else {
+		this.order = this.items.slice();
+	}
+
+	this.changed();
+};
+
+/**
+ * Sets the repeat mode: `none`, `all` to start over once the last
+ * track ends, or `one` to repeat the current track.
+ */
+Playlist.prototype.setRepeat = function (repeat) {
+	this.repeat = repeat;
+	this.changed();
+};
+
+/**
+ * Returns the track `offset` tracks away from the current one in
+ * the playing order, wrapping around if every track is repeated,
+ * or null if there is none.
+ */
+Playlist.prototype.peek = function (offset) {
+	if (!this.order.length) {
+		return null;
+	}
+
+	var position = this.order.indexOf(this.current) + offset;
+
+	if (this.repeat === REPEAT_ALL) {
+		position = (position % this.order.length + this.order.length) % this.order.length;
+	}
+
+	return this.order[position] || null;
+};
+
+/**
+ * Plays the track at a given index, or the current track.
+ *
+ * Returns the Promise of `Player.play`, or a Promise which rejects
+ * with a NotFoundError if there is no such track.
+ */
+Playlist.prototype.play = function (index) {
+	var item = index === undefined ? (this.current || this.order[0]) : this.items[index];
+
+	if (!item) {
+		return Promise.reject(new Errors.NotFoundError('The playlist has no such track.'));
+	}
+
+	this.select(item, false);
+
+	return this.player.play();
+};
+
+/**
+ * Pauses the current track.
+ */
+Playlist.prototype.pause = function () {
+	if (this.player) {
+		this.player.pause();
+	}
+};
+
+/**
+ * Goes to the next track, which starts playing if the current
+ * track was playing.
+ *
+ * Returns a Promise which resolves once the track is playing, or
+ * loaded if the current track was paused, or rejects with a
+ * NotFoundError if this was the last track.
+ */
+Playlist.prototype.next = function () {
+	var position = this.order.indexOf(this.current);
+
+	// Starting over the whole playlist reshuffles it, leaving the
+	// current track for the end.
+	if (this.shuffle && this.repeat === REPEAT_ALL && this.current && position === this.order.length - 1) {
+		this.order = shuffled(this.order.slice(0, position)).concat([this.current]);
+	}
+
+	return this.go(this.peek(1));
+};
+
+/**
+ * Goes to the previous track, or restarts the current track if it
+ * played for more than a few seconds.
+ *
+ * Returns a Promise like `next`.
+ */
+Playlist.prototype.previous = function () {
+	if (this.player && this.player.currentTime > RESTART_THRESHOLD) {
+		return this.player.seek(0);
+	}
+
+	return this.go(this.peek(-1));
+};
+
+/**
+ * Goes to a given track, playing it if the current track was
+ * playing or has just ended.
+ */
+Playlist.prototype.go = function (item) {
+	if (!item) {
+		return Promise.reject(new Errors.NotFoundError('The playlist has no such track.'));
+	}
+
+	var playing = this.player && (!this.player.paused || this.player.finished);
+
+	this.select(item, false);
+
+	return playing ? this.player.play() : this.player.load();
+};
+
+/**
+ * Makes a given track the current one, reusing its player if it
+ * was preloaded, and destroys the player of the previous track.
+ */
+Playlist.prototype.select = function (item, play) {
+	if (item === this.current) {
+		return;
+	}
+
+	var previous = this.player;
+
+	this.current = item;
+
+	if (this.preloaded && this.preloaded.item === item) {
+		this.player = this.preloaded.player;
+		this.preloaded = null;
+	} else {
+		this.player = this.createPlayer(item);
+	}
+
+	this.dropPreloaded();
+
+	if (previous) {
+		previous.pause();
+		this.manager.remove(previous);
+	}
+
+	this.watch(this.player);
+
+	if (play) {
+		this.player.play().catch(function () {});
+	}
+
+	this.dispatchEvent({type: 'trackchange', detail: {index: this.index, path: item.path, player: this.player}});
+};
+
+/**
+ * Stops the playlist, destroying its players.
+ */
+Playlist.prototype.stop = function () {
+	this.dropPreloaded(true);
+
+	if (this.player) {
+		this.player.pause();
+		this.manager.remove(this.player);
+	}
+
+	this.current = null;
+	this.player = null;
+};
+
+/**
+ * Creates the player of a given track.
+ */
+Playlist.prototype.createPlayer = function (item) {
+	return this.manager.add(item.path, _.extend({}, this.playerConfig, {preload: false}));
+};
+
+/**
+ * Listens to the player of the current track, to preload the next
+ * track near its end and to advance once it ends.
+ */
+Playlist.prototype.watch = function (player) {
+	var that = this;
+
+	player.addEventListener('timeupdate', function () {
+		var remaining = (player.duration - player.currentTime) / player.playbackRate;
+
+		if (player === that.player && player.duration && remaining <= that.preloadTime) {
+			that.preload();
+		}
+	});
+
+	player.addEventListener('ended', function () {
+		if (player === that.player) {
+			that.advance();
+		}
+	});
+};
+
+/**
+ * Loads the metadata and the first fragment of the next track.
+ */
+Playlist.prototype.preload = function () {
+	var item = this.repeat === REPEAT_ONE ? null : this.peek(1);
+
+	if (!item || item === this.current || (this.preloaded && this.preloaded.item === item)) {
+		return;
+	}
+
+	this.dropPreloaded(true);
+	this.preloaded = {item: item, player: this.createPlayer(item)};
+	this.preloaded.player.load().catch(function () {});
+};
+
+/**
+ * Destroys the preloaded player, if it is not the one of the next
+ * track anymore, or in any case if `always` is set.
+ */
+Playlist.prototype.dropPreloaded = function (always) {
+	if (this.preloaded && (always || this.preloaded.item !== this.peek(1))) {
+		this.manager.remove(this.preloaded.player);
+		this.preloaded = null;
+	}
+};
+
+/**
+ * Goes on once the current track ended.
+ */
+Playlist.prototype.advance = function () {
+	if (this.repeat === REPEAT_ONE) {
+		this.player.play().catch(function () {});
+		return;
+	}
+
+	if (!this.peek(1)) {
+		this.dispatchEvent('ended');
+		return;
+	}
+
+	this.next().catch(function () {});
+};
+
+/**
+ * Notifies that the tracks or their order changed.
+ */
+Playlist.prototype.changed = function () {
+	this.dropPreloaded();
+	this.dispatchEvent('change');
+};
+
+module.exports = Playlist;
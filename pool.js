@@ -0,0 +1,163 @@
+/**
+ * A pool of Web Workers decrypting fragments off the main thread,
+ * and time-stretching them when the pitch is preserved.
+ *
+ * The pool exposes the same `decrypt` interface as the backends
+ * of `backend.js`. Whenever a worker fails, its pending and future
+ * jobs are handed over to the main thread instead.
+ */
+
+
+'use strict';
+
+var Backend = require('./backend.js');
+var Stretch = require('./stretch.js');
+
+/**
+ * Creates a pool of `size` workers running the script at `path`.
+ */
+var WorkerPool = function (path, size) {
+	this.workers = [];
+	this.jobs = {};
+	this.nextId = 0;
+
+	for (var i = 0; i < size; i++) {
+		this.spawn(path);
+	}
+};
+
+/**
+ * Returns a new pool, or null if workers are unavailable or
+ * not wanted, in which case fragments are decrypted on the
+ * main thread.
+ */
+WorkerPool.create = function (path, size) {
+	if (!size || typeof Worker === 'undefined') {
+		return null;
+	}
+
+	try {
+		return new WorkerPool(path, size);
+	} catch (e) {
+		console.warn('Could not start decryption workers:', e);
+		return null;
+	}
+};
+
+/**
+ * Starts a new worker and adds it to the pool.
+ */
+WorkerPool.prototype.spawn = function (path) {
+	var that = this;
+	var worker = new Worker(path);
+
+	worker.pending = 0;
+
+	worker.onmessage = function (event) {
+		var job = that.jobs[event.data.id];
+
+		if (!job) {
+			return;
+		}
+
+		delete that.jobs[event.data.id];
+		worker.pending--;
+
+		job.callback(event.data.output);
+	};
+
+	worker.onerror = function (event) {
+		console.warn('Decryption worker failed:', event.message);
+
+		that.retire(worker);
+	};
+
+	this.workers.push(worker);
+};
+
+/**
+ * Removes a failed worker from the pool, and runs its pending
+ * jobs on the main thread.
+ */
+WorkerPool.prototype.retire = function (worker) {
+	var index = this.workers.indexOf(worker);
+
+	if (index !== -1) {
+		this.workers.splice(index, 1);
+	}
+
+	worker.terminate();
+
+	for (var id in this.jobs) {
+		var job = this.jobs[id];
+
+		if (job.worker === worker) {
+			delete this.jobs[id];
+			job.fallback(job.callback);
+		}
+	}
+};
+
+/**
+ * Posts a job to the least busy worker, which passes its output to
+ * the callback. The `fallback` function runs the job on the main
+ * thread instead, and passes the output to the callback it is given.
+ */
+WorkerPool.prototype.submit = function (message, fallback, callback) {
+	if (!this.workers.length) {
+		return fallback(callback);
+	}
+
+	var worker = this.workers[0];
+
+	for (var i = 1; i < this.workers.length; i++) {
+		if (this.workers[i].pending < worker.pending) {
+			worker = this.workers[i];
+		}
+	}
+
+	var id = this.nextId++;
+
+	// The input is copied rather than transferred, so that the job
+	// can still run on the main thread if the worker fails.
+	this.jobs[id] = {
+		worker: worker,
+		fallback: fallback,
+		callback: callback
+	};
+
+	message.id = id;
+
+	worker.pending++;
+	worker.postMessage(message);
+};
+
+/**
+ * Decrypts the input on the least busy worker.
+ */
+WorkerPool.prototype.decrypt = function (cipher, input, key, iv, tag, callback) {
+	this.submit({type: 'decrypt', cipher: cipher, input: input, key: key, iv: iv, tag: tag}, function (callback) {
+		Backend.decrypt(cipher, input, key, iv, tag, callback);
+	}, callback);
+};
+
+/**
+ * Time-stretches the data of the channels of a buffer on the least
+ * busy worker, and passes the stretched channels to the callback.
+ */
+WorkerPool.prototype.stretch = function (channels, sampleRate, rate, callback) {
+	this.submit({type: 'stretch', channels: channels, sampleRate: sampleRate, rate: rate}, function (callback) {
+		Stretch.stretchInSlices(channels, sampleRate, rate, callback);
+	}, callback);
+};
+
+/**
+ * Stops every worker of the pool.
+ */
+WorkerPool.prototype.terminate = function () {
+	while (this.workers.length) {
+		this.retire(this.workers[0]);
+	}
+};
+
+module.exports = WorkerPool;
@@ -0,0 +1,109 @@
+/**
+ * Session key exchange for diaes.js.
+ *
+ * When wrapped keys are requested, each Reader generates an
+ * ephemeral ECDH P-256 key pair, and sends its raw public key
+ * (hex) along with the metadata request. The server answers with
+ * its own ephemeral public key in `metadata.wrapping.publicKey`,
+ * and every fragment `key` wrapped with AES key-wrap (RFC 3394)
+ * under the key-encryption key
+ *
+ *   KEK = SHA-256(ECDH(client private key, server public key))
+ *
+ * Keys captured from one session are thus useless in another.
+ * Requires the WebCrypto API.
+ */
+
+
+'use strict';
+
+var Crypto = require('./crypto.js');
+var Backend = require('./backend.js');
+
+var CURVE = {name: 'ECDH', namedCurve: 'P-256'};
+
+/**
+ * A session, holding an ephemeral ECDH key pair.
+ */
+var Session = function (keyPair, publicKey) {
+	this.keyPair = keyPair;
+	this.publicKey = publicKey; // Raw public key, as hex
+
+	this.keks = {}; // Derived key-encryption keys, by server public key
+};
+
+/**
+ * Checks whether sessions can be created in this browser.
+ */
+Session.isSupported = function () {
+	return Backend.getSubtle() !== null;
+};
+
+/**
+ * Generates a new session, and passes it to the callback
+ * as (error, session).
+ */
+Session.create = function (callback) {
+	var subtle = Backend.getSubtle();
+	var keyPair;
+
+	if (!subtle) {
+		return callback(new Error('Wrapped keys require the WebCrypto API.'));
+	}
+
+	subtle.generateKey(CURVE, false, ['deriveBits']).then(function (pair) {
+		keyPair = pair;
+
+		return subtle.exportKey('raw', pair.publicKey);
+	}).then(function (publicKey) {
+		callback(null, new Session(keyPair, Backend.toHex(publicKey)));
+	}, function (error) {
+		callback(error);
+	});
+};
+
+/**
+ * Derives the key-encryption key shared with the server, and
+ * passes it to the callback as (error, kek).
+ */
+Session.prototype.deriveKek = function (serverPublicKey, callback) {
+	var that = this;
+	var subtle = Backend.getSubtle();
+
+	if (that.keks[serverPublicKey]) {
+		return callback(null, that.keks[serverPublicKey]);
+	}
+
+	subtle.importKey('raw', Backend.fromHex(serverPublicKey), CURVE, false, []).then(function (publicKey) {
+		return subtle.deriveBits({name: 'ECDH', public: publicKey}, that.keyPair.privateKey, 256);
+	}).then(function (secret) {
+		return subtle.digest('SHA-256', secret);
+	}).then(function (kek) {
+		that.keks[serverPublicKey] = kek;
+		callback(null, kek);
+	}, function (error) {
+		callback(error);
+	});
+};
+
+/**
+ * Unwraps a hex fragment key, and passes the plain hex key
+ * to the callback as (error, key).
+ */
+Session.prototype.unwrapKey = function (serverPublicKey, wrappedKey, callback) {
+	this.deriveKek(serverPublicKey, function (error, kek) {
+		if (error) {
+			return callback(error);
+		}
+
+		var key = Crypto.unwrap_aes_kw(Backend.fromHex(wrappedKey), kek);
+
+		if (key === null) {
+			return callback(new Error('Could not unwrap the fragment key.'));
+		}
+
+		callback(null, Backend.toHex(key));
+	});
+};
+
+module.exports = Session;
@@ -0,0 +1,229 @@
+/**
+ * Offline storage of the files of diaes.js, using IndexedDB.
+ *
+ * The store keeps the manifests and the fragments as they are
+ * served, so the fragments stay encrypted at rest. The session of
+ * manifests with wrapped keys is stored along with them, and its
+ * private key stays non-extractable. Keys delivered by a license
+ * endpoint are never stored, so such files still need it to play.
+ *
+ * Manifests are stored by path, along with their `metadata` and
+ * `session`, and fragments by URL, along with the `path` of their
+ * manifest.
+ */
+
+
+'use strict';
+
+var VERSION = 1;
+
+/**
+ * Returns the IndexedDB factory, if any.
+ */
+function getIndexedDB() {
+	var scope = typeof self !== 'undefined' ? self : {};
+
+	return scope.indexedDB || null;
+}
+
+/**
+ * Creates a store backed by the database with the given name.
+ */
+var OfflineStore = function (name) {
+	var that = this;
+
+	this.db = null;
+	this.error = null;
+	this.waiting = []; // Callbacks waiting for the database
+
+	var request = getIndexedDB().open(name, VERSION);
+
+	request.onupgradeneeded = function () {
+		var db = request.result;
+
+		db.createObjectStore('manifests', {keyPath: 'path'});
+		db.createObjectStore('fragments', {keyPath: 'url'}).createIndex('path', 'path');
+	};
+
+	request.onsuccess = function () {
+		that.db = request.result;
+		that.flush();
+	};
+
+	request.onerror = function () {
+		that.error = request.error;
+		that.flush();
+	};
+};
+
+/**
+ * Checks whether offline storage is available in this browser.
+ */
+OfflineStore.isSupported = function () {
+	return getIndexedDB() !== null;
+};
+
+/**
+ * Returns a new store, or null if offline storage is unavailable.
+ */
+OfflineStore.create = function (name) {
+	if (!OfflineStore.isSupported()) {
+		return null;
+	}
+
+	try {
+		return new OfflineStore(name);
+	} catch (e) {
+		console.warn('Could not open the offline store:', e);
+		return null;
+	}
+};
+
+/**
+ * Calls the callbacks which were waiting for the database.
+ */
+OfflineStore.prototype.flush = function () {
+	var waiting = this.waiting;
+
+	this.waiting = [];
+
+	for (var i = 0; i < waiting.length; i++) {
+		waiting[i](this.error, this.db);
+	}
+};
+
+/**
+ * Runs a request on the given object store once the database is
+ * open, and passes (error, result) to the callback once the
+ * transaction completes.
+ *
+ * @param {string}   name     The object store.
+ * @param {string}   mode     Either `readonly` or `readwrite`.
+ * @param {Function} run      Called with the object store, returns the request, if any.
+ * @param {Function} callback
+ */
+OfflineStore.prototype.transaction = function (name, mode, run, callback) {
+	var that = this;
+
+	if (!this.db && !this.error) {
+		return this.waiting.push(function () {
+			that.transaction(name, mode, run, callback);
+		});
+	}
+
+	if (this.error) {
+		return callback(this.error);
+	}
+
+	var transaction;
+	var request;
+
+	try {
+		transaction = this.db.transaction(name, mode);
+		request = run(transaction.objectStore(name));
+	} catch (e) {
+		return callback(e);
+	}
+
+	transaction.oncomplete = function () {
+		callback(null, request ? request.result : undefined);
+	};
+
+	// Quota errors abort the transaction with a QuotaExceededError.
+	transaction.onabort = transaction.onerror = function () {
+		transaction.oncomplete = transaction.onabort = transaction.onerror = null;
+		callback(transaction.error || (request && request.error));
+	};
+};
+
+/**
+ * Passes the stored manifest of a given path, or undefined, to
+ * the callback as (error, record).
+ */
+OfflineStore.prototype.getManifest = function (path, callback) {
+	this.transaction('manifests', 'readonly', function (manifests) {
+		return manifests.get(path);
+	}, callback);
+};
+
+/**
+ * Stores the manifest of a given path, with the session which
+ * wrapped its keys, if any.
+ */
+OfflineStore.prototype.putManifest = function (path, metadata, session, callback) {
+	this.transaction('manifests', 'readwrite', function (manifests) {
+		manifests.put({path: path, metadata: metadata, session: session, savedAt: Date.now()});
+	}, callback);
+};
+
+/**
+ * Passes the stored data of the fragment at a given URL, or
+ * undefined, to the callback as (error, data).
+ */
+OfflineStore.prototype.getFragment = function (url, callback) {
+	this.transaction('fragments', 'readonly', function (fragments) {
+		return fragments.get(url);
+	}, function (error, record) {
+		callback(error, record && record.data);
+	});
+};
+
+/**
+ * Passes whether the fragment at a given URL is stored to the
+ * callback as (error, found), without reading its data.
+ */
+OfflineStore.prototype.hasFragment = function (url, callback) {
+	this.transaction('fragments', 'readonly', function (fragments) {
+		return fragments.count(url);
+	}, function (error, count) {
+		callback(error, count > 0);
+	});
+};
+
+/**
+ * Stores the data of the fragment at a given URL, which belongs
+ * to the manifest of a given path.
+ */
+OfflineStore.prototype.putFragment = function (path, url, data, callback) {
+	this.transaction('fragments', 'readwrite', function (fragments) {
+		fragments.put({url: url, path: path, data: data});
+	}, callback);
+};
+
+/**
+ * Removes the manifest of a given path, and all its fragments.
+ */
+OfflineStore.prototype.remove = function (path, callback) {
+	var that = this;
+
+	this.transaction('fragments', 'readwrite', function (fragments) {
+		var cursor = fragments.index('path').openKeyCursor(IDBKeyRange.only(path));
+
+		cursor.onsuccess = function () {
+			if (cursor.result) {
+				fragments.delete(cursor.result.primaryKey);
+				cursor.result.continue();
+			}
+		};
+	}, function (error) {
+		if (error) {
+			return callback(error);
+		}
+
+		that.transaction('manifests', 'readwrite', function (manifests) {
+			manifests.delete(path);
+		}, callback);
+	});
+};
+
+/**
+ * Passes the paths of the stored manifests to the callback
+ * as (error, paths).
+ */
+OfflineStore.prototype.list = function (callback) {
+	this.transaction('manifests', 'readonly', function (manifests) {
+		return manifests.getAllKeys();
+	}, callback);
+};
+
+module.exports = OfflineStore;
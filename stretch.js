@@ -0,0 +1,301 @@
+/**
+ * Time-stretching of decoded audio for diaes.js, used to change
+ * the playback rate without changing the pitch.
+ *
+ * The stretch uses WSOLA (waveform similarity overlap-add): the
+ * output is made of overlapping windowed frames, read from the
+ * input every `rate` times the output hop. Each frame is shifted
+ * by a few milliseconds to best match the continuation of the
+ * previous one, which avoids the phasing of a plain overlap-add.
+ *
+ * The stretch of a fragment takes a noticeable time, so it works on
+ * plain channel data, which the decryption workers of `pool.js` can
+ * stretch off the main thread as well. Without workers, it runs on
+ * the main thread a slice at a time, see `stretchInSlices`.
+ */
+
+
+'use strict';
+
+var FRAME_DURATION = 0.04; // Duration of the frames, in seconds
+var TOLERANCE      = 0.01; // Maximum shift of the frames, in seconds
+
+// The cross-correlation only looks at every few samples, which is
+// enough to line up the waveforms and much cheaper.
+var CORRELATION_STEP = 4;
+var SEARCH_STEP      = 2;
+
+// How long a slice of a stretch on the main thread runs before it
+// yields, in milliseconds, and how many frames it stretches between
+// two looks at the clock.
+var SLICE_DURATION  = 8;
+var FRAMES_PER_LOOK = 4;
+
+/**
+ * Returns a periodic Hann window of `length` samples, whose copies
+ * shifted by half its length sum up to one.
+ */
+function hannWindow(length) {
+	var window = new Float32Array(length);
+
+	for (var i = 0; i < length; i++) {
+		window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / length);
+	}
+
+	return window;
+}
+
+/**
+ * Returns the average of a list of channels.
+ */
+function mixdown(channels) {
+	var mono = new Float32Array(channels[0].length);
+
+	for (var c = 0; c < channels.length; c++) {
+		var data = channels[c];
+
+		for (var i = 0; i < mono.length; i++) {
+			mono[i] += data[i] / channels.length;
+		}
+	}
+
+	return mono;
+}
+
+/**
+ * Returns the shift, between -tolerance and tolerance, at which the
+ * input starting at `position` best matches the input starting at
+ * `target` over `length` samples.
+ */
+function bestShift(mono, target, position, length, tolerance) {
+	var best = 0;
+	var bestScore = -Infinity;
+
+	for (var shift = -tolerance; shift <= tolerance; shift += SEARCH_STEP) {
+		var start = position + shift;
+
+		if (start < 0 || start + length > mono.length) {
+			continue;
+		}
+
+		var score = 0;
+
+		for (var i = 0; i < length; i += CORRELATION_STEP) {
+			score += mono[target + i] * mono[start + i];
+		}
+
+		if (score > bestScore) {
+			bestScore = score;
+			best = shift;
+		}
+	}
+
+	return best;
+}
+
+/**
+ * A stretch of channels to play `rate` times faster or slower at the
+ * same pitch, computed one output frame after the other, so that it
+ * can be interrupted.
+ *
+ * @param {Array}  channels   The Float32Array data of each channel.
+ * @param {number} sampleRate
+ * @param {number} rate
+ */
+var Stretcher = function (channels, sampleRate, rate) {
+	this.channels = channels;
+	this.rate = rate;
+
+	this.frame = 2 * Math.round(FRAME_DURATION * sampleRate / 2);
+	this.hop = this.frame / 2;
+	this.tolerance = Math.round(TOLERANCE * sampleRate);
+	this.length = Math.max(1, Math.round(channels[0].length / rate));
+
+	this.window = hannWindow(this.frame);
+	this.weights = new Float32Array(this.length);
+	this.mono = mixdown(channels);
+	this.output = channels.map(function () {
+		return new Float32Array(this.length);
+	}, this);
+
+	this.out = 0;         // The start of the next output frame
+	this.previous = null; // Where the previous frame was read from the input
+};
+
+/**
+ * Checks whether every output frame was computed.
+ */
+Stretcher.prototype.isDone = function () {
+	return this.out >= this.length;
+};
+
+/**
+ * Computes up to `count` more output frames.
+ */
+Stretcher.prototype.step = function (count) {
+	var inputLength = this.channels[0].length;
+	var frame = this.frame;
+	var hop = this.hop;
+	var length = this.length;
+
+	for (var n = 0; n < count && !this.isDone(); n++) {
+		var out = this.out;
+
+		// Choose where the output frame is read from the input.
+		var position = Math.min(Math.round(out * this.rate), Math.max(0, inputLength - frame));
+
+		if (this.previous !== null && this.previous + hop + hop <= inputLength) {
+			position += bestShift(this.mono, this.previous + hop, position, hop, this.tolerance);
+		}
+
+		for (var i = 0; i < frame && out + i < length; i++) {
+			this.weights[out + i] += this.window[i];
+		}
+
+		for (var c = 0; c < this.channels.length; c++) {
+			var input = this.channels[c];
+			var data = this.output[c];
+
+			for (i = 0; i < frame && out + i < length && position + i < input.length; i++) {
+				data[out + i] += this.window[i] * input[position + i];
+			}
+		}
+
+		this.previous = position;
+		this.out += hop;
+	}
+};
+
+/**
+ * Returns the stretched channels, once every frame was computed.
+ */
+Stretcher.prototype.finish = function () {
+	for (var c = 0; c < this.output.length; c++) {
+		var data = this.output[c];
+
+		// Normalize the edges, where fewer frames overlap.
+		for (var i = 0; i < this.length; i++) {
+			if (this.weights[i] > 1e-3) {
+				data[i] /= this.weights[i];
+			}
+		}
+	}
+
+	return this.output;
+};
+
+/**
+ * Returns the channels of audio which plays `rate` times faster
+ * or slower at the same pitch than given channels.
+ *
+ * @param {Array}  channels   The Float32Array data of each channel.
+ * @param {number} sampleRate
+ * @param {number} rate
+ */
+function stretchChannels(channels, sampleRate, rate) {
+	var stretcher = new Stretcher(channels, sampleRate, rate);
+
+	stretcher.step(Infinity);
+
+	return stretcher.finish();
+}
+
+var channel = null;
+var deferred = [];
+
+/**
+ * Calls a function once the event loop has run, through a message
+ * rather than a timer where possible, as timers are throttled in
+ * background tabs.
+ */
+function defer(callback) {
+	if (typeof MessageChannel === 'undefined') {
+		return setTimeout(callback, 0);
+	}
+
+	if (!channel) {
+		channel = new MessageChannel();
+		channel.port1.onmessage = function () {
+			deferred.shift()();
+		};
+	}
+
+	deferred.push(callback);
+	channel.port2.postMessage(null);
+}
+
+/**
+ * Stretches channels like `stretchChannels`, but on the main thread
+ * a slice at a time, yielding to the event loop between two slices
+ * so that it never holds the page up for long. Passes the stretched
+ * channels to the callback, unless `cancelled` returns true first.
+ */
+function stretchInSlices(channels, sampleRate, rate, callback, cancelled) {
+	var stretcher = new Stretcher(channels, sampleRate, rate);
+
+	function slice() {
+		if (cancelled && cancelled()) {
+			return;
+		}
+
+		var deadline = Date.now() + SLICE_DURATION;
+
+		while (!stretcher.isDone() && Date.now() < deadline) {
+			stretcher.step(FRAMES_PER_LOOK);
+		}
+
+		if (stretcher.isDone()) {
+			callback(stretcher.finish());
+		} else {
+			defer(slice);
+		}
+	}
+
+	defer(slice);
+}
+
+/**
+ * Returns the data of each channel of an AudioBuffer.
+ */
+function getChannels(buffer) {
+	var channels = [];
+
+	for (var c = 0; c < buffer.numberOfChannels; c++) {
+		channels.push(buffer.getChannelData(c));
+	}
+
+	return channels;
+}
+
+/**
+ * Returns an AudioBuffer holding given channels.
+ */
+function toBuffer(context, channels, sampleRate) {
+	var buffer = context.createBuffer(channels.length, channels[0].length, sampleRate);
+
+	for (var c = 0; c < channels.length; c++) {
+		buffer.getChannelData(c).set(channels[c]);
+	}
+
+	return buffer;
+}
+
+/**
+ * Returns a copy of an AudioBuffer which plays `rate` times faster
+ * or slower at the same pitch.
+ *
+ * @param {AudioContext} context
+ * @param {AudioBuffer}  buffer
+ * @param {number}       rate
+ */
+function stretch(context, buffer, rate) {
+	return toBuffer(context, stretchChannels(getChannels(buffer), buffer.sampleRate, rate), buffer.sampleRate);
+}
+
+module.exports = {
+	stretch: stretch,
+	stretchChannels: stretchChannels,
+	stretchInSlices: stretchInSlices,
+	getChannels: getChannels,
+	toBuffer: toBuffer
+};
@@ -0,0 +1,196 @@
+/**
+ * Tests of the FragmentCache of diaes.js, run in Node.js.
+ *
+ * Most tests run on stand-in readers which need the fragments
+ * listed in `needed`, and record the fragments evicted from them.
+ */
+
+
+'use strict';
+
+var assert = require('assert');
+var FragmentCache = require('../cache.js');
+var Stubs = require('./stubs.js');
+
+/**
+ * Returns a stand-in reader which needs the given fragments.
+ */
+function createReader(needed) {
+	return {
+		needed: needed || [],
+		evicted: [],
+		isFragmentNeeded: function (number) {
+			return this.needed.indexOf(number) !== -1;
+		},
+		evictFragment: function (number) {
+			this.evicted.push(number);
+		}
+	};
+}
+
+/**
+ * Returns a stand-in encoded fragment of a given size.
+ */
+function createBuffer(bytes) {
+	return {byteLength: bytes};
+}
+
+/**
+ * Returns the numbers of the cached fragments, from the least
+ * to the most recently used.
+ */
+function cached(cache) {
+	return cache.entries.map(function (entry) {
+		return entry.number;
+	});
+}
+
+module.exports = {
+	'decoded fragments count for 4 bytes per sample and channel': function () {
+		assert.equal(FragmentCache.sizeOf({length: 1000, numberOfChannels: 2}), 8000);
+		assert.equal(FragmentCache.sizeOf(createBuffer(1234)), 1234);
+	},
+
+	'the least recently used fragments are evicted first': function () {
+		var cache = new FragmentCache(30);
+		var reader = createReader();
+
+		[0, 1, 2].forEach(function (number) {
+			cache.add(reader, number, createBuffer(10));
+		});
+
+		// Using a fragment makes it the most recently used.
+		assert.equal(cache.use(reader, 0), true);
+		cache.add(reader, 3, createBuffer(10));
+
+		assert.deepEqual(reader.evicted, [1]);
+		assert.deepEqual(cached(cache), [2, 0, 3]);
+
+		cache.add(reader, 4, createBuffer(20));
+
+		assert.deepEqual(reader.evicted, [1, 2, 0]);
+		assert.deepEqual(cached(cache), [3, 4]);
+		assert.equal(cache.use(reader, 1), false);
+	},
+
+	'the bytes of the fragments are accounted for within the budget': function () {
+		var cache = new FragmentCache(100);
+		var first = createReader();
+		var second = createReader();
+
+		cache.add(first, 0, createBuffer(40));
+		cache.add(second, 0, createBuffer(30));
+		assert.equal(cache.bytes, 70);
+
+		// Adding a fragment again replaces it, e.g. in another rendition.
+		cache.add(first, 0, createBuffer(50));
+		assert.equal(cache.bytes, 80);
+		assert.deepEqual(first.evicted, []);
+
+		cache.add(first, 1, createBuffer(30));
+		assert.equal(cache.bytes, 80);
+		assert.deepEqual(second.evicted, [0]);
+
+		cache.use(first, 1);
+		cache.use(second, 0);
+		cache.remove(first);
+
+		assert.deepEqual(cache.stats(), {
+			budget: 100,
+			bytes: 0,
+			fragments: 0,
+			stretched: 0,
+			hits: 1,
+			misses: 1,
+			evictions: 1
+		});
+	},
+
+	'fragments which their reader needs are not evicted': function () {
+		var cache = new FragmentCache(30);
+		var reader = createReader([0, 1]);
+
+		[0, 1, 2].forEach(function (number) {
+			cache.add(reader, number, createBuffer(10));
+		});
+
+		cache.add(reader, 3, createBuffer(10));
+		assert.deepEqual(reader.evicted, [2]);
+
+		// The cache goes over budget rather than evicting them.
+		reader.needed.push(3);
+		cache.add(reader, 4, createBuffer(10));
+
+		assert.deepEqual(reader.evicted, [2]);
+		assert.deepEqual(cached(cache), [0, 1, 3, 4]);
+		assert.equal(cache.bytes, 40);
+
+		// They are evicted once no longer needed.
+		reader.needed = [];
+		cache.add(reader, 5, createBuffer(10));
+
+		assert.deepEqual(reader.evicted, [2, 0, 1]);
+		assert.deepEqual(cached(cache), [3, 4, 5]);
+	},
+
+	'stretched copies count until their source lets go of them': function () {
+		var cache = new FragmentCache(30);
+		var reader = createReader();
+
+		cache.add(reader, 0, createBuffer(10));
+		cache.add(reader, 0, createBuffer(10), true);
+		cache.add(reader, 1, createBuffer(10));
+
+		// Only the fragment is evicted, and its stretched copy stays.
+		cache.add(reader, 2, createBuffer(10));
+
+		assert.deepEqual(reader.evicted, [0]);
+		assert.equal(cache.use(reader, 0), false);
+		assert.equal(cache.bytes, 30);
+
+		// A copy for another rate replaces the previous one.
+		cache.add(reader, 0, createBuffer(5), true);
+		assert.equal(cache.bytes, 25);
+
+		cache.discard(reader, 0, true);
+
+		assert.equal(cache.bytes, 20);
+		assert.deepEqual(cached(cache), [1, 2]);
+		assert.equal(cache.stats().stretched, 0);
+	},
+
+	'readers keep the fragments around the playhead and in the loop region': function () {
+		var manager = Stubs.createManager();
+		var player = Stubs.createPlayer([10, 10, 10, 10, 10, 10, 10, 10], manager);
+		var reader = player.reader;
+
+		manager.cache = new FragmentCache(50);
+		reader.currentFragmentNumber = 6;
+
+		reader.fragments.forEach(function (fragment, number) {
+			fragment.buffer = createBuffer(10);
+			manager.cache.add(reader, number, fragment.buffer);
+		});
+
+		// The fragments before the one behind the playhead were evicted.
+		assert.deepEqual(cached(manager.cache), [3, 4, 5, 6, 7]);
+		assert.deepEqual(reader.fragments.map(function (fragment) {
+			return !!fragment.buffer;
+		}), [false, false, false, true, true, true, true, true]);
+
+		player.looping.region = {start: 35, end: 50};
+		reader.fragments[0].buffer = createBuffer(10);
+		manager.cache.add(reader, 0, reader.fragments[0].buffer);
+
+		assert.deepEqual(cached(manager.cache), [3, 4, 5, 6, 7, 0]);
+
+		// The loop region no longer pins its fragments once cleared.
+		player.looping.region = null;
+		reader.fragments[1].buffer = createBuffer(10);
+		manager.cache.add(reader, 1, reader.fragments[1].buffer);
+
+		assert.deepEqual(cached(manager.cache), [5, 6, 7, 0, 1]);
+		assert.equal(reader.fragments[3].buffer, null);
+		assert.equal(reader.fragments[4].buffer, null);
+	}
+};
@@ -0,0 +1,135 @@
+/**
+ * Tests of the HLS playlist parser of diaes.js, run in Node.js.
+ */
+
+
+'use strict';
+
+var assert = require('assert');
+var HLS = require('../hls.js');
+
+var URL = 'https://cdn.example.com/audio/stream.m3u8';
+
+/**
+ * Maps a media playlist to the manifest of the Reader, and returns
+ * the rendition of each of its fragments along with its cipher.
+ */
+function segmentsOf(lines) {
+	var manifest;
+
+	HLS.load(['#EXTM3U'].concat(lines).join('\n'), URL, null, function (error, result) {
+		if (error) {
+			throw error;
+		}
+
+		manifest = result;
+	});
+
+	return manifest.fragments.map(function (fragment) {
+		var rendition = fragment.renditions[0];
+
+		return {cipher: rendition.cipher, path: rendition.path, keyUri: rendition.keyUri, iv: rendition.iv};
+	});
+}
+
+module.exports = {
+	'IVs default to the media sequence number': function () {
+		var segments = segmentsOf([
+			'#EXT-X-MEDIA-SEQUENCE:255',
+			'#EXT-X-KEY:METHOD=AES-128,URI="https://keys.example.com/1"',
+			'#EXTINF:10.0,',
+			'0.aac',
+			'#EXTINF:10.0,',
+			'1.aac'
+		]);
+
+		assert.equal(segments[0].iv, '000000000000000000000000000000ff');
+		assert.equal(segments[1].iv, '00000000000000000000000000000100');
+	},
+
+	'explicit IVs are used and padded to 128 bits': function () {
+		var segments = segmentsOf([
+			'#EXT-X-MEDIA-SEQUENCE:3',
+			'#EXT-X-KEY:METHOD=AES-128,URI="https://keys.example.com/1",IV=0X0123456789ABCDEF',
+			'#EXTINF:10.0,',
+			'0.aac'
+		]);
+
+		assert.equal(segments[0].iv.toLowerCase(), '00000000000000000123456789abcdef');
+	},
+
+	'segments after METHOD=NONE are in the clear': function () {
+		var segments = segmentsOf([
+			'#EXT-X-KEY:METHOD=AES-128,URI="https://keys.example.com/1"',
+			'#EXTINF:10.0,',
+			'0.aac',
+			'#EXT-X-KEY:METHOD=NONE',
+			'#EXTINF:10.0,',
+			'1.aac'
+		]);
+
+		assert.deepEqual(segments.map(function (segment) { return segment.cipher; }), ['aes-cbc', 'none']);
+		assert.equal(segments[1].keyUri, null);
+		assert.equal(segments[1].iv, null);
+	},
+
+	'key and segment URIs resolve against the playlist': function () {
+		var segments = segmentsOf([
+			'#EXT-X-KEY:METHOD=AES-128,URI="keys/1.key"',
+			'#EXTINF:10.0,',
+			'segments/0.aac',
+			'#EXT-X-KEY:METHOD=AES-128,URI="/keys/2.key"',
+			'#EXTINF:10.0,',
+			'//media.example.com/1.aac',
+			'#EXT-X-KEY:METHOD=AES-128,URI="https://keys.example.com/3.key"',
+			'#EXTINF:10.0,',
+			'2.aac?token=abc'
+		]);
+
+		assert.deepEqual(segments.map(function (segment) { return segment.keyUri; }), [
+			'https://cdn.example.com/audio/keys/1.key',
+			'https://cdn.example.com/keys/2.key',
+			'https://keys.example.com/3.key'
+		]);
+		assert.deepEqual(segments.map(function (segment) { return segment.path; }), [
+			'https://cdn.example.com/audio/segments/0.aac',
+			'https://media.example.com/1.aac',
+			'https://cdn.example.com/audio/2.aac?token=abc'
+		]);
+	},
+
+	'each variant has its own cipher, and variants which do not line up are left out': function () {
+		var playlists = {
+			'https://cdn.example.com/audio/clear.m3u8': ['#EXTINF:10.0,', 'clear/0.aac', '#EXTINF:10.0,', 'clear/1.aac'],
+			'https://cdn.example.com/audio/locked.m3u8': [
+				'#EXT-X-KEY:METHOD=AES-128,URI="locked.key"',
+				'#EXTINF:10.0,', 'locked/0.aac', '#EXTINF:10.0,', 'locked/1.aac'
+			],
+			'https://cdn.example.com/audio/short.m3u8': ['#EXTINF:20.0,', 'short/0.aac']
+		};
+		var manifest;
+
+		HLS.load([
+			'#EXTM3U',
+			'#EXT-X-STREAM-INF:BANDWIDTH=64000', 'clear.m3u8',
+			'#EXT-X-STREAM-INF:BANDWIDTH=128000', 'locked.m3u8',
+			'#EXT-X-STREAM-INF:BANDWIDTH=192000', 'short.m3u8'
+		].join('\n'), URL, function (url, callback) {
+			callback(null, ['#EXTM3U'].concat(playlists[url]).join('\n'));
+		}, function (error, result) {
+			assert.equal(error, null);
+			manifest = result;
+		});
+
+		assert.equal(manifest.fragments.length, 2);
+		assert.deepEqual(manifest.fragments[1].renditions.map(function (rendition) {
+			return [rendition.bitrate, rendition.cipher];
+		}), [[64000, 'none'], [128000, 'aes-cbc']]);
+	},
+
+	'unsupported encryption methods are rejected': function () {
+		assert.throws(function () {
+			HLS.parse('#EXTM3U\n#EXT-X-KEY:METHOD=SAMPLE-AES,URI="k"\n#EXTINF:10.0,\n0.aac', URL);
+		}, /SAMPLE-AES is not supported/);
+	}
+};
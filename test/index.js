@@ -0,0 +1,43 @@
+/**
+ * Runs the tests of diaes.js in Node.js.
+ *
+ * Each file of this directory exports its tests by name. A test
+ * throws or returns a Promise which rejects if it fails.
+ */
+
+
+'use strict';
+
+var SUITES = ['cache', 'hls', 'license', 'manager', 'network', 'playlist', 'reader', 'stretch'];
+
+var tests = [];
+
+SUITES.forEach(function (suite) {
+	var cases = require('./' + suite + '.js');
+
+	Object.keys(cases).forEach(function (name) {
+		tests.push({name: suite + ': ' + name, run: cases[name]});
+	});
+});
+
+/**
+ * Runs the tests one after the other, then exits with an error
+ * if any of them failed.
+ */
+function run(index, failed) {
+	if (index >= tests.length) {
+		return process.exit(failed ? 1 : 0);
+	}
+
+	var test = tests[index];
+
+	Promise.resolve().then(test.run).then(function () {
+		console.log('ok    ' + test.name);
+		run(index + 1, failed);
+	}, function (error) {
+		console.log('FAIL  ' + test.name + '\n      ' + error.message);
+		run(index + 1, true);
+	});
+}
+
+run(0, false);
@@ -0,0 +1,216 @@
+/**
+ * Tests of the LicenseClient of diaes.js, run in Node.js against
+ * the stand-in license server of `license-server.js`, through an
+ * XMLHttpRequest made of Node.js requests.
+ */
+
+
+'use strict';
+
+var assert = require('assert');
+var http = require('http');
+var LicenseClient = require('../license.js');
+var LicenseServer = require('../license-server.js');
+
+var KEYS = {
+	'kid-1': '000102030405060708090a0b0c0d0e0f',
+	'kid-2': '101112131415161718191a1b1c1d1e1f'
+};
+
+// Failed requests are not retried, so that denied ones fail quickly.
+var OPTIONS = {timeout: 5000, retries: 0};
+
+/**
+ * An XMLHttpRequest sending Node.js requests, whose responses
+ * are read as text.
+ */
+var NodeRequest = function () {
+	this.headers = {};
+};
+
+NodeRequest.prototype.open = function (method, url) {
+	this.method = method;
+	this.url = url;
+};
+
+NodeRequest.prototype.setRequestHeader = function (name, value) {
+	this.headers[name] = value;
+};
+
+NodeRequest.prototype.abort = function () {
+	this.request.destroy();
+};
+
+NodeRequest.prototype.send = function (body) {
+	var that = this;
+
+	this.request = http.request(this.url, {method: this.method, headers: this.headers}, function (response) {
+		var text = '';
+
+		response.setEncoding('utf8');
+		response.on('data', function (chunk) {
+			text += chunk;
+		});
+		response.on('end', function () {
+			that.status = response.statusCode;
+			that.statusText = response.statusMessage;
+			that.response = text;
+			that.onload();
+		});
+	});
+
+	this.request.on('error', function () {
+		that.onerror();
+	});
+
+	this.request.end(body);
+};
+
+/**
+ * Starts a license server with the given options, and runs a test
+ * with a client of the server and the list of the key IDs it was
+ * asked for. Returns a Promise of the end of the test.
+ */
+function withServer(options, token, test) {
+	var server = LicenseServer.createServer(KEYS, options);
+	var XMLHttpRequest = global.XMLHttpRequest;
+	var requested = [];
+
+	server.on('request', function (request) {
+		var body = '';
+
+		request.on('data', function (chunk) {
+			body += chunk;
+		});
+		request.on('end', function () {
+			requested.push(JSON.parse(body).kids);
+		});
+	});
+
+	global.XMLHttpRequest = NodeRequest;
+
+	return new Promise(function (resolve) {
+		server.listen(0, '127.0.0.1', resolve);
+	}).then(function () {
+		var url = 'http://127.0.0.1:' + server.address().port + '/license';
+
+		return test(new LicenseClient(url, token, OPTIONS), requested);
+	}).then(function () {
+		finish();
+	}, function (error) {
+		finish();
+		throw error;
+	});
+
+	function finish() {
+		global.XMLHttpRequest = XMLHttpRequest;
+		server.closeAllConnections();
+		server.close();
+	}
+}
+
+/**
+ * Returns a Promise of the error and key passed to the callback
+ * of `getKey`.
+ */
+function getKey(client, kid) {
+	return new Promise(function (resolve) {
+		client.getKey(kid, function (error, key) {
+			resolve({error: error, key: key});
+		});
+	});
+}
+
+module.exports = {
+	'keys are cached until shortly before they expire': function () {
+		var now = Date.now;
+		var time = now();
+
+		Date.now = function () {
+			return time;
+		};
+
+		return withServer({ttl: 60}, null, function (client, requested) {
+			return getKey(client, 'kid-1').then(function (result) {
+				assert.equal(result.error, null);
+				assert.equal(result.key, KEYS['kid-1']);
+
+				time += 50000;
+				return getKey(client, 'kid-1');
+			}).then(function (result) {
+				assert.equal(result.key, KEYS['kid-1']);
+				assert.deepEqual(requested, [['kid-1']]);
+
+				// The key is renewed within 5 seconds of its expiry.
+				time += 6000;
+				assert.equal(client.isValid('kid-1'), false);
+
+				return getKey(client, 'kid-1');
+			}).then(function (result) {
+				assert.equal(result.key, KEYS['kid-1']);
+				assert.deepEqual(requested, [['kid-1'], ['kid-1']]);
+				assert.equal(client.isValid('kid-1'), true);
+			});
+		}).then(function () {
+			Date.now = now;
+		}, function (error) {
+			Date.now = now;
+			throw error;
+		});
+	},
+
+	'keys without a lifetime never expire': function () {
+		return withServer({}, null, function (client, requested) {
+			return getKey(client, 'kid-2').then(function () {
+				assert.equal(client.licenses['kid-2'].expiresAt, null);
+				return getKey(client, 'kid-2');
+			}).then(function (result) {
+				assert.equal(result.key, KEYS['kid-2']);
+				assert.deepEqual(requested, [['kid-2']]);
+			});
+		});
+	},
+
+	'concurrent requests of a key are sent once': function () {
+		return withServer({}, null, function (client, requested) {
+			return Promise.all([getKey(client, 'kid-1'), getKey(client, 'kid-1')]).then(function (results) {
+				assert.equal(results[0].key, KEYS['kid-1']);
+				assert.equal(results[1].key, KEYS['kid-1']);
+				assert.deepEqual(requested, [['kid-1']]);
+			});
+		});
+	},
+
+	'denied and unknown keys fail with the reason given by the server': function () {
+		return withServer({deny: ['kid-2']}, null, function (client, requested) {
+			return getKey(client, 'kid-2').then(function (result) {
+				assert.deepEqual(result.error, {kid: 'kid-2', status: 403, message: 'License denied for key kid-2.'});
+				assert.equal(result.key, undefined);
+
+				return getKey(client, 'kid-3');
+			}).then(function (result) {
+				assert.deepEqual(result.error, {kid: 'kid-3', status: 403, message: 'License denied for key kid-3.'});
+
+				// Denied keys are not cached, and are asked for again.
+				return getKey(client, 'kid-2');
+			}).then(function (result) {
+				assert.equal(result.error.status, 403);
+				assert.deepEqual(requested, [['kid-2'], ['kid-3'], ['kid-2']]);
+			});
+		});
+	},
+
+	'requests carry the bearer token, which can be replaced': function () {
+		return withServer({token: 'secret'}, 'expired', function (client) {
+			return getKey(client, 'kid-1').then(function (result) {
+				assert.deepEqual(result.error, {kid: 'kid-1', status: 401, message: 'Invalid token.'});
+
+				client.setToken('secret');
+				return getKey(client, 'kid-1');
+			}).then(function (result) {
+				assert.equal(result.error, null);
+				assert.equal(result.key, KEYS['kid-1']);
+			});
+		});
+	}
+};
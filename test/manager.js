@@ -0,0 +1,81 @@
+/**
+ * Tests of the Manager of diaes.js, run in Node.js on a stand-in
+ * AudioContext whose resume() is driven by each test.
+ */
+
+
+'use strict';
+
+var assert = require('assert');
+var EventTarget = require('../events.js');
+var Stubs = require('./stubs.js');
+
+var Manager = Stubs.Diaes.Manager;
+
+/**
+ * Returns a stand-in suspended AudioContext, whose resume()
+ * returns the given Promise.
+ */
+function createContext(resumed) {
+	var context = {
+		state: 'suspended',
+		resume: function () {
+			return resumed;
+		},
+		setState: function (state) {
+			this.state = state;
+			this.dispatchEvent('statechange');
+		}
+	};
+
+	EventTarget.mixin(context);
+
+	return context;
+}
+
+/**
+ * Resumes a stand-in context with the method of the Manager.
+ */
+function resume(context) {
+	return Manager.prototype.resume.call({context: context});
+}
+
+module.exports = {
+	'a slow resume still resolves once the context runs': function () {
+		var context = createContext(new Promise(function (resolve) {
+			setTimeout(function () {
+				context.state = 'running';
+				resolve();
+			}, 1500);
+		}));
+
+		return Stubs.settles(resume(context));
+	},
+
+	'the context runs as soon as its state says so': function () {
+		var context = createContext(new Promise(function () {}));
+		var resumed = resume(context);
+
+		context.setState('running');
+
+		return Stubs.settles(resumed).then(function () {
+			assert.equal(context.listeners.statechange.length, 0);
+		});
+	},
+
+	'a context which stays suspended or closes is not allowed to run': function () {
+		var context = createContext(Promise.resolve());
+		var closed = createContext(new Promise(function () {}));
+		var resumes = [resume(context), resume(closed)];
+
+		closed.setState('closed');
+
+		return Promise.all(resumes.map(function (promise) {
+			return Stubs.settles(promise).then(function () {
+				throw new Error('The context resumed.');
+			}, function (error) {
+				assert.equal(error.name, 'NotAllowedError');
+			});
+		}));
+	}
+};
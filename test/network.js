@@ -0,0 +1,187 @@
+/**
+ * Tests of the requests of diaes.js, run in Node.js on a stand-in
+ * XMLHttpRequest whose responses are given by each test.
+ */
+
+
+'use strict';
+
+var assert = require('assert');
+var Network = require('../network.js');
+
+// The timeout of the requests which must not time out, which also
+// tells their timers apart from the delays before the retries.
+var NO_TIMEOUT = 60000;
+
+var requests = [];
+var server = null;
+
+/**
+ * A stand-in XMLHttpRequest, answered by the `server` of the test.
+ */
+var FakeRequest = function () {
+	this.headers = {};
+	this.aborted = false;
+};
+
+FakeRequest.prototype.open = function (method, url) {
+	this.method = method;
+	this.url = url;
+};
+
+FakeRequest.prototype.setRequestHeader = function (name, value) {
+	this.headers[name] = value;
+};
+
+FakeRequest.prototype.abort = function () {
+	this.aborted = true;
+};
+
+FakeRequest.prototype.send = function (body) {
+	var that = this;
+
+	this.body = body;
+	requests.push(this);
+
+	setImmediate(function () {
+		server(that, requests.length);
+	});
+};
+
+global.XMLHttpRequest = FakeRequest;
+
+/**
+ * Answers a request with a given status and body.
+ */
+function reply(request, status, response) {
+	request.status = status;
+	request.statusText = 'Status ' + status;
+	request.response = response;
+	request.onload();
+}
+
+/**
+ * Fetches a URL with the given server and options, and returns a
+ * Promise of the error and response passed to the callback, along
+ * with the delays before the retries.
+ */
+function get(respond, options) {
+	var setTimeout = global.setTimeout;
+	var delays = [];
+
+	requests = [];
+	server = respond;
+
+	// The retries are not actually delayed.
+	global.setTimeout = function (callback, delay) {
+		if (delay === NO_TIMEOUT || delay === options.timeout) {
+			return setTimeout(callback, delay);
+		}
+
+		delays.push(delay);
+		return setTimeout(callback, 0);
+	};
+
+	return new Promise(function (resolve) {
+		Network.get('https://example.com/file', options, function (error, response) {
+			global.setTimeout = setTimeout;
+			resolve({error: error, response: response, delays: delays});
+		});
+	});
+}
+
+/**
+ * Returns a server answering with the given statuses in turn,
+ * then with a 200 status. Status 0 is a network error.
+ */
+function statuses(list) {
+	return function (request, count) {
+		var status = count <= list.length ? list[count - 1] : 200;
+
+		if (status === 0) {
+			return request.onerror();
+		}
+
+		reply(request, status, 'body');
+	};
+}
+
+module.exports = {
+	'transient statuses are retried': function () {
+		return get(statuses([0, 408, 429, 503]), {timeout: NO_TIMEOUT, retries: 4, retryDelay: 1, responseType: 'text'}).then(function (result) {
+			assert.equal(result.error, null);
+			assert.equal(result.response, 'body');
+			assert.equal(requests.length, 5);
+		});
+	},
+
+	'permanent statuses fail right away': function () {
+		return get(statuses([404]), {timeout: NO_TIMEOUT, retries: 4, retryDelay: 1}).then(function (result) {
+			assert.equal(result.error.status, 404);
+			assert.equal(requests.length, 1);
+			assert.deepEqual([0, 408, 429, 500, 503, 400, 401, 403, 404].map(Network.isTransient),
+			                 [true, true, true, true, true, false, false, false, false]);
+		});
+	},
+
+	'requests give up after the number of retries': function () {
+		return get(statuses([500, 500, 500, 500]), {timeout: NO_TIMEOUT, retries: 2, retryDelay: 1}).then(function (result) {
+			assert.equal(result.error.status, 500);
+			assert.equal(requests.length, 3);
+		});
+	},
+
+	'the delay before a retry doubles, with bounded jitter': function () {
+		var random = Math.random;
+		var options = {timeout: NO_TIMEOUT, retries: 4, retryDelay: 100, maxRetryDelay: 400};
+		var failing = statuses([500, 500, 500, 500, 500]);
+
+		Math.random = function () {
+			return 0;
+		};
+
+		return get(failing, options).then(function (lowest) {
+			Math.random = function () {
+				return 0.999999;
+			};
+
+			return get(failing, options).then(function (highest) {
+				Math.random = random;
+
+				assert.deepEqual(lowest.delays, [50, 100, 200, 200]);
+				assert.deepEqual(highest.delays.map(Math.round), [100, 200, 400, 400]);
+			});
+		}).catch(function (error) {
+			Math.random = random;
+			throw error;
+		});
+	},
+
+	'requests without an answer time out and are retried': function () {
+		return get(function () {}, {timeout: 20, retries: 1, retryDelay: 1}).then(function (result) {
+			assert.equal(result.error.status, 0);
+			assert.equal(result.error.message, 'Request timed out.');
+			assert.equal(requests.length, 2);
+			assert.ok(requests.every(function (request) { return request.aborted; }));
+		});
+	},
+
+	'invalid JSON bodies fail without a retry': function () {
+		return get(function (request) {
+			reply(request, 200, '<html>');
+		}, {timeout: NO_TIMEOUT, retries: 2, retryDelay: 1, responseType: 'json'}).then(function (result) {
+			assert.equal(result.error.status, 200);
+			assert.equal(result.error.message, 'Invalid JSON response.');
+			assert.equal(requests.length, 1);
+		});
+	},
+
+	'the JSON body of an error is kept, if any': function () {
+		return get(function (request) {
+			reply(request, 403, '{"error": "Denied."}');
+		}, {timeout: NO_TIMEOUT, responseType: 'json'}).then(function (result) {
+			assert.equal(result.error.status, 403);
+			assert.deepEqual(result.error.body, {error: 'Denied.'});
+		});
+	}
+};
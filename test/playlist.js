@@ -0,0 +1,321 @@
+/**
+ * Tests of the Playlist of diaes.js, run in Node.js on a stand-in
+ * manager whose players only record how they are used.
+ */
+
+
+'use strict';
+
+var assert = require('assert');
+var EventTarget = require('../events.js');
+var Playlist = require('../playlist.js');
+
+// The playlist expects the globals of a browser page.
+global._ = require('lodash');
+
+/**
+ * A stand-in player of a given file, paused at its start.
+ */
+var FakePlayer = function (path) {
+	this.path = path;
+	this.paused = true;
+	this.finished = false;
+	this.currentTime = 0;
+	this.duration = 100;
+	this.playbackRate = 1;
+
+	this.calls = [];
+	this.removed = false;
+};
+
+EventTarget.mixin(FakePlayer.prototype);
+
+FakePlayer.prototype.play = function () {
+	this.paused = false;
+	this.finished = false;
+	this.calls.push('play');
+
+	return Promise.resolve();
+};
+
+FakePlayer.prototype.pause = function () {
+	this.paused = true;
+	this.calls.push('pause');
+};
+
+FakePlayer.prototype.load = function () {
+	this.calls.push('load');
+
+	return Promise.resolve();
+};
+
+FakePlayer.prototype.seek = function (time) {
+	this.currentTime = time;
+	this.calls.push('seek');
+
+	return Promise.resolve();
+};
+
+/**
+ * Ends the playback of a player.
+ */
+FakePlayer.prototype.end = function () {
+	this.paused = true;
+	this.finished = true;
+	this.currentTime = this.duration;
+	this.dispatchEvent('ended');
+};
+
+/**
+ * Returns a playlist of the given files on a stand-in manager,
+ * which keeps every player it created in `players`.
+ */
+function createPlaylist(paths) {
+	var playlist = new Playlist({
+		players: [],
+		add: function (path) {
+			var player = new FakePlayer(path);
+
+			this.players.push(player);
+			return player;
+		},
+		remove: function (player) {
+			player.removed = true;
+		}
+	});
+
+	paths.forEach(function (path) {
+		playlist.add(path);
+	});
+
+	return playlist;
+}
+
+/**
+ * Returns the paths of tracks.
+ */
+function paths(items) {
+	return items.map(function (item) {
+		return item.path;
+	});
+}
+
+/**
+ * Checks that a Promise rejects with a NotFoundError.
+ */
+function notFound(promise) {
+	return promise.then(function () {
+		throw new Error('The Promise resolved.');
+	}, function (error) {
+		assert.equal(error.name, 'NotFoundError');
+	});
+}
+
+module.exports = {
+	'next and previous go through the tracks, and stop at the ends': function () {
+		var playlist = createPlaylist(['a', 'b', 'c']);
+		var first;
+
+		return playlist.play(0).then(function () {
+			first = playlist.player;
+
+			return notFound(playlist.previous());
+		}).then(function () {
+			assert.equal(playlist.index, 0);
+			return playlist.next();
+		}).then(function () {
+			assert.equal(playlist.index, 1);
+			assert.equal(first.removed, true);
+			assert.deepEqual(playlist.player.calls, ['play']);
+
+			return playlist.next();
+		}).then(function () {
+			assert.equal(playlist.peek(1), null);
+			assert.equal(playlist.peek(-2).path, 'a');
+
+			return notFound(playlist.next());
+		}).then(function () {
+			// The track which was paused is only loaded.
+			playlist.pause();
+			return playlist.previous();
+		}).then(function () {
+			assert.equal(playlist.index, 1);
+			assert.deepEqual(playlist.player.calls, ['load']);
+		});
+	},
+
+	'repeating every track wraps around both ends': function () {
+		var playlist = createPlaylist(['a', 'b', 'c']);
+
+		playlist.setRepeat(Playlist.REPEAT_ALL);
+
+		return playlist.play(2).then(function () {
+			assert.equal(playlist.peek(1).path, 'a');
+			assert.equal(playlist.peek(-4).path, 'b');
+
+			return playlist.next();
+		}).then(function () {
+			assert.equal(playlist.index, 0);
+			return playlist.previous();
+		}).then(function () {
+			assert.equal(playlist.index, 2);
+		});
+	},
+
+	'repeating one track replays it once it ends': function () {
+		var playlist = createPlaylist(['a', 'b']);
+
+		playlist.setRepeat(Playlist.REPEAT_ONE);
+
+		return playlist.play(0).then(function () {
+			var player = playlist.player;
+
+			player.currentTime = 95;
+			player.dispatchEvent('timeupdate');
+			assert.equal(playlist.preloaded, null);
+
+			player.end();
+
+			assert.equal(playlist.player, player);
+			assert.deepEqual(player.calls, ['play', 'play']);
+
+			// Going to the next track on purpose still works.
+			return playlist.next();
+		}).then(function () {
+			assert.equal(playlist.index, 1);
+		});
+	},
+
+	'shuffling keeps the current track first, and reshuffles at the wrap': function () {
+		var playlist = createPlaylist(['a', 'b', 'c', 'd', 'e']);
+		var last;
+
+		return playlist.play(2).then(function () {
+			playlist.setShuffle(true);
+			playlist.setRepeat(Playlist.REPEAT_ALL);
+
+			assert.equal(playlist.order[0].path, 'c');
+			assert.deepEqual(paths(playlist.order).sort(), ['a', 'b', 'c', 'd', 'e']);
+
+			return playlist.next().then(playlist.next.bind(playlist)).then(playlist.next.bind(playlist)).then(playlist.next.bind(playlist));
+		}).then(function () {
+			last = playlist.current;
+			assert.equal(playlist.order.indexOf(last), 4);
+
+			return playlist.next();
+		}).then(function () {
+			// The track which just played is left for the end.
+			assert.deepEqual(paths(playlist.order).sort(), ['a', 'b', 'c', 'd', 'e']);
+			assert.equal(playlist.order[4], last);
+			assert.equal(playlist.current, playlist.order[0]);
+
+			playlist.setShuffle(false);
+			assert.deepEqual(paths(playlist.order), ['a', 'b', 'c', 'd', 'e']);
+		});
+	},
+
+	'previous restarts the current track past a few seconds': function () {
+		var playlist = createPlaylist(['a', 'b']);
+
+		return playlist.play(1).then(function () {
+			playlist.player.currentTime = 3.5;
+			return playlist.previous();
+		}).then(function () {
+			assert.equal(playlist.index, 1);
+			assert.equal(playlist.player.currentTime, 0);
+			assert.deepEqual(playlist.player.calls, ['play', 'seek']);
+
+			playlist.player.currentTime = 2.5;
+			return playlist.previous();
+		}).then(function () {
+			assert.equal(playlist.index, 0);
+		});
+	},
+
+	'removing the current track goes on to the next one': function () {
+		var playlist = createPlaylist(['a', 'b']);
+		var changes = [];
+
+		playlist.addEventListener('trackchange', function (event) {
+			changes.push(event.detail.path);
+		});
+
+		return playlist.play(0).then(function () {
+			var first = playlist.player;
+
+			playlist.remove(0);
+
+			assert.equal(first.removed, true);
+			assert.equal(playlist.current.path, 'b');
+			assert.equal(playlist.index, 0);
+			assert.deepEqual(playlist.player.calls, ['play']);
+
+			// Removing the last track stops the playlist.
+			var second = playlist.player;
+
+			playlist.remove(0);
+
+			assert.equal(second.removed, true);
+			assert.equal(playlist.current, null);
+			assert.equal(playlist.player, null);
+			assert.equal(playlist.length, 0);
+			assert.deepEqual(changes, ['a', 'b']);
+		});
+	},
+
+	'the next track is preloaded near the end of the current one': function () {
+		var playlist = createPlaylist(['a', 'b']);
+		var ended = 0;
+
+		playlist.addEventListener('ended', function () {
+			ended++;
+		});
+
+		return playlist.play(0).then(function () {
+			var player = playlist.player;
+
+			// 30 seconds remain, which take 15 at twice the speed.
+			player.currentTime = 70;
+			player.playbackRate = 2;
+			player.dispatchEvent('timeupdate');
+
+			var preloaded = playlist.preloaded.player;
+
+			assert.equal(playlist.preloaded.item.path, 'b');
+			assert.deepEqual(preloaded.calls, ['load']);
+
+			// The preloaded player plays the next track once it starts.
+			player.end();
+
+			assert.equal(playlist.player, preloaded);
+			assert.equal(playlist.manager.players.length, 2);
+			assert.deepEqual(preloaded.calls, ['load', 'play']);
+
+			// Nothing is left to preload after the last track.
+			preloaded.currentTime = 95;
+			preloaded.dispatchEvent('timeupdate');
+			assert.equal(playlist.preloaded, null);
+
+			preloaded.end();
+			assert.equal(ended, 1);
+		});
+	},
+
+	'reordering the tracks drops a preloaded track which is not next anymore': function () {
+		var playlist = createPlaylist(['a', 'b', 'c']);
+
+		return playlist.play(0).then(function () {
+			playlist.preload();
+
+			var preloaded = playlist.preloaded.player;
+
+			playlist.move(2, 1);
+
+			assert.equal(preloaded.removed, true);
+			assert.equal(playlist.preloaded, null);
+
+			playlist.preload();
+			assert.equal(playlist.preloaded.item.path, 'c');
+		});
+	}
+};
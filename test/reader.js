@@ -0,0 +1,353 @@
+/**
+ * Tests of the Reader of diaes.js, run in Node.js, on the
+ * stand-in players of stubs.js.
+ */
+
+
+'use strict';
+
+var assert = require('assert');
+var Stubs = require('./stubs.js');
+
+var createPlayer = Stubs.createPlayer;
+var settles = Stubs.settles;
+
+var DEBOUNCE = 400; // Longer than the debounce of seeks
+
+/**
+ * A stand-in SourceBuffer without `changeType`, which records the
+ * data appended to it.
+ */
+var FakeSourceBuffer = function (type) {
+	this.type = type;
+	this.appended = [];
+	this.updating = false;
+	this.buffered = {length: 0};
+	this.listeners = {};
+};
+
+FakeSourceBuffer.prototype.addEventListener = function (type, listener) {
+	this.listeners[type] = listener;
+};
+
+FakeSourceBuffer.prototype.appendBuffer = function (data) {
+	var that = this;
+
+	this.appended.push(data);
+	this.updating = true;
+
+	setImmediate(function () {
+		that.updating = false;
+		that.listeners.updateend();
+	});
+};
+
+/**
+ * Makes a player stream through a stand-in media element and
+ * MediaSource, which keeps its SourceBuffers in `buffers`, and
+ * returns the MediaSource.
+ */
+function streamPlayer(player) {
+	var reader = player.reader;
+	var createObjectURL = URL.createObjectURL;
+	var mediaSource = {
+		readyState: 'open',
+		buffers: [],
+		addEventListener: function () {},
+		addSourceBuffer: function (type) {
+			var buffer = new FakeSourceBuffer(type);
+
+			this.buffers.push(buffer);
+			return buffer;
+		},
+		removeSourceBuffer: function (buffer) {
+			buffer.removed = true;
+		},
+		endOfStream: function () {}
+	};
+
+	global.MediaSource = function () {
+		return mediaSource;
+	};
+	global.document = {
+		createElement: function () {
+			return {
+				currentTime: 0,
+				paused: true,
+				addEventListener: function () {},
+				play: function () {
+					this.paused = false;
+				},
+				pause: function () {
+					this.paused = true;
+				}
+			};
+		}
+	};
+
+	URL.createObjectURL = function () {
+		return 'blob:media';
+	};
+	reader.context.createMediaElementSource = function () {
+		return {connect: function () {}};
+	};
+	reader.suitsMediaSource = function () {
+		return true;
+	};
+	reader.listRenditions = function () {
+		return [];
+	};
+
+	reader.chooseBackend();
+
+	URL.createObjectURL = createObjectURL;
+	delete global.MediaSource;
+	delete global.document;
+
+	return mediaSource;
+}
+
+/**
+ * Returns a Promise which resolves once the pending appends ran.
+ */
+function appended() {
+	return new Promise(function (resolve) {
+		setTimeout(resolve, 10);
+	});
+}
+
+module.exports = {
+	'seeks of two readers at once both run': function () {
+		var first = createPlayer([10, 10]);
+		var second = createPlayer([10, 10]);
+
+		return settles(Promise.all([first.seek(12), second.seek(4)])).then(function () {
+			assert.deepEqual(first.reader.scheduled, [{number: 1, offset: 2}]);
+			assert.deepEqual(second.reader.scheduled, [{number: 0, offset: 4}]);
+		});
+	},
+
+	'consecutive seeks of a reader only run the last one': function () {
+		var player = createPlayer([10, 10]);
+		var interrupted = player.seek(3);
+
+		return settles(Promise.all([
+			interrupted.then(function () {
+				throw new Error('The first seek resolved.');
+			}, function (error) {
+				assert.equal(error.name, 'AbortError');
+			}),
+			player.seek(15)
+		])).then(function () {
+			assert.deepEqual(player.reader.scheduled, [{number: 1, offset: 5}]);
+		});
+	},
+
+	'a seek while play() is pending neither rejects it nor emits pause and play': function () {
+		var player = createPlayer([10, 10]);
+		var events = [];
+		var played;
+
+		// The first fragment is still loading as play() is called.
+		player.reader.buffering = true;
+
+		return new Promise(function (resolve) {
+			player.addEventListener('play', resolve);
+			played = player.play();
+		}).then(function () {
+			['pause', 'play'].forEach(function (type) {
+				player.addEventListener(type, function () {
+					events.push(type);
+				});
+			});
+
+			return settles(Promise.all([played, player.seek(12)]));
+		}).then(function () {
+			assert.deepEqual(events, []);
+			assert.equal(player.paused, false);
+		});
+	},
+
+	'a seek into a loading fragment reuses the load and starts at the seek time': function () {
+		var player = createPlayer([10, 10, 10]);
+		var reader = player.reader;
+		var reads = [];
+
+		// The fragments load for real, until they are read.
+		reader.loadFragment = Object.getPrototypeOf(reader).loadFragment;
+		reader.readFragment = function (number, callback) {
+			reads.push(callback);
+		};
+
+		reader.loadAndScheduleFragment(1, 0);
+
+		var seeked = player.seek(15);
+
+		setTimeout(function () {
+			reads.forEach(function (read) {
+				read();
+			});
+		}, DEBOUNCE);
+
+		return settles(seeked).then(function () {
+			assert.equal(reads.length, 1);
+			assert.deepEqual(reader.scheduled, [{number: 1, offset: 5}]);
+		});
+	},
+
+	'loop regions spanning fragments go back to their first fragment': function () {
+		var player = createPlayer([10, 10, 10, 10]);
+		var reader = player.reader;
+
+		// The region holds the current time, which does not seek.
+		reader.currentFragmentNumber = 2;
+		player.setLoopRegion(15, 32);
+
+		assert.deepEqual(reader.getLoopBounds(), {start: 15, end: 32, first: 1, last: 3});
+		assert.deepEqual(reader.getNextFragment(2), {number: 3, offset: 0});
+		assert.deepEqual(reader.getNextFragment(3), {number: 1, offset: 5});
+
+		var last = {number: 3, startsFrom: 0};
+		var first = {number: 1, startsFrom: 5};
+
+		reader.applyLoop(last);
+		reader.applyLoop(first);
+
+		assert.equal(last.until, 2);
+		assert.equal(last.loop, null);
+		assert.equal(first.until, null);
+
+		// A source starting past the end of the loop plays out.
+		last = {number: 3, startsFrom: 4};
+		reader.applyLoop(last);
+		assert.equal(last.until, null);
+
+		// A region ending right at the start of a fragment does not span it.
+		player.setLoopRegion(15, 30);
+
+		assert.equal(reader.getLoopBounds().last, 2);
+		assert.deepEqual(reader.getNextFragment(2), {number: 1, offset: 5});
+		assert.equal(reader.isFragmentUpcoming(1), true);
+		assert.equal(reader.isFragmentUpcoming(3), false);
+	},
+
+	'loop regions within a fragment use the loop points of its source': function () {
+		var player = createPlayer([10, 10, 10]);
+		var reader = player.reader;
+		var source = {number: 1, startsFrom: 0};
+
+		player.setLoopRegion(12, 18);
+
+		assert.deepEqual(reader.getLoopBounds(), {start: 12, end: 18, first: 1, last: 1});
+		assert.deepEqual(reader.getNextFragment(1), {number: 1, offset: 2});
+
+		reader.applyLoop(source);
+
+		assert.deepEqual(source.loop, {start: 2, end: 8});
+		assert.equal(source.until, null);
+
+		// The player was outside of the region, and seeks to its start.
+		return new Promise(function (resolve) {
+			setTimeout(resolve, DEBOUNCE);
+		}).then(function () {
+			assert.deepEqual(reader.scheduled, [{number: 1, offset: 2}]);
+		});
+	},
+
+	'clearing the loop region plays on, or loops over the whole track': function () {
+		var player = createPlayer([10, 10, 10, 10]);
+		var reader = player.reader;
+		var source = {number: 3, startsFrom: 0};
+
+		reader.currentFragmentNumber = 2;
+		player.setLoopRegion(15, 32);
+		reader.applyLoop(source);
+
+		player.clearLoopRegion();
+		reader.applyLoop(source);
+
+		assert.equal(player.loopRegion, null);
+		assert.equal(reader.getLoopBounds(), null);
+		assert.equal(reader.getNextFragment(3), null);
+		assert.equal(source.until, null);
+		assert.equal(reader.isFragmentNeeded(0), false);
+
+		player.loop = true;
+		reader.applyLoop(source);
+
+		assert.deepEqual(reader.getLoopBounds(), {start: 0, end: 40, first: 0, last: 3});
+		assert.deepEqual(reader.getNextFragment(3), {number: 0, offset: 0});
+		assert.equal(source.until, 10);
+		assert.equal(reader.isFragmentUpcoming(0), true);
+	},
+
+	'queued sources start on the clock of the AudioContext right away': function () {
+		var player = createPlayer([10, 10, 10]);
+		var queue = player.reader.queue;
+		var starts = [];
+
+		// The scheduler of the queue never runs within this test.
+		player.reader.context.createBufferSource = function () {
+			return {
+				playbackRate: {value: 1.0},
+				connect: function () {},
+				disconnect: function () {},
+				start: function (when, offset, duration) {
+					starts.push([when, offset, duration]);
+				},
+				stop: function () {}
+			};
+		};
+
+		queue.play(true);
+
+		[0, 1, 2].forEach(function (number) {
+			queue.push({duration: 10}, number);
+		});
+
+		queue.pause(undefined, true);
+
+		assert.deepEqual(starts, [[0, 0, 10], [10, 0, 10], [20, 0, 10]]);
+	},
+
+	'without changeType, a rendition of another type waits for the segments before it': function () {
+		var player = createPlayer([10, 10, 10]);
+		var reader = player.reader;
+		var mediaSource = streamPlayer(player);
+		var queue = reader.queue;
+
+		['audio/mpeg', 'audio/mpeg', 'audio/aac'].forEach(function (type, number) {
+			reader.fragments[number].rendition = {type: type};
+		});
+
+		queue.play(true);
+
+		['first', 'second', 'third'].forEach(function (data, number) {
+			queue.push(data, number);
+		});
+
+		return appended().then(function () {
+			assert.equal(mediaSource.buffers.length, 1);
+			assert.deepEqual(mediaSource.buffers[0].appended, ['first', 'second']);
+
+			// The second segment plays, and the first one is gone.
+			queue.element.currentTime = 10;
+			queue.tick();
+
+			return appended();
+		}).then(function () {
+			assert.equal(mediaSource.buffers.length, 1);
+
+			queue.element.currentTime = 20;
+			queue.tick();
+
+			return appended();
+		}).then(function () {
+			queue.pause(undefined, true);
+
+			assert.equal(mediaSource.buffers[0].removed, true);
+			assert.equal(mediaSource.buffers[1].type, 'audio/aac');
+			assert.deepEqual(mediaSource.buffers[1].appended, ['third']);
+		});
+	}
+};
@@ -0,0 +1,68 @@
+/**
+ * Tests of the time-stretching of diaes.js, run in Node.js on
+ * synthetic channels.
+ */
+
+
+'use strict';
+
+var assert = require('assert');
+var Stretch = require('../stretch.js');
+
+var SAMPLE_RATE = 8000;
+
+/**
+ * Returns two channels of tones lasting a given time, in seconds.
+ */
+function createChannels(duration) {
+	var length = duration * SAMPLE_RATE;
+	var channels = [new Float32Array(length), new Float32Array(length)];
+
+	for (var i = 0; i < length; i++) {
+		channels[0][i] = Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE);
+		channels[1][i] = Math.sin(2 * Math.PI * 660 * i / SAMPLE_RATE);
+	}
+
+	return channels;
+}
+
+module.exports = {
+	'stretched channels last the duration at the new rate': function () {
+		var output = Stretch.stretchChannels(createChannels(2), SAMPLE_RATE, 1.25);
+
+		assert.equal(output.length, 2);
+		assert.equal(output[0].length, 12800);
+	},
+
+	'stretching in slices yields, and gives the same channels': function () {
+		var channels = createChannels(2);
+		var expected = Stretch.stretchChannels(channels, SAMPLE_RATE, 0.8);
+		var returned = false;
+
+		return new Promise(function (resolve) {
+			Stretch.stretchInSlices(channels, SAMPLE_RATE, 0.8, function (output) {
+				resolve({output: output, returned: returned});
+			});
+			returned = true;
+		}).then(function (result) {
+			assert.equal(result.returned, true);
+			assert.deepEqual(result.output, expected);
+		});
+	},
+
+	'a cancelled stretch never calls back': function () {
+		var called = false;
+
+		Stretch.stretchInSlices(createChannels(2), SAMPLE_RATE, 1.5, function () {
+			called = true;
+		}, function () {
+			return true;
+		});
+
+		return new Promise(function (resolve) {
+			setTimeout(resolve, 100);
+		}).then(function () {
+			assert.equal(called, false);
+		});
+	}
+};
@@ -0,0 +1,108 @@
+/**
+ * Stand-ins shared by the tests of diaes.js, run in Node.js.
+ *
+ * The players are created on a stand-in AudioContext, and the
+ * steps of the Reader which need the network or the Web Audio API
+ * are replaced on each reader, so that only its control flow runs.
+ */
+
+
+'use strict';
+
+var Module = require('module');
+
+// diaes.js expects the globals of a browser page, and only uses
+// jQuery for helpers the steps replaced here do not reach.
+global.window = global;
+global._ = require('lodash');
+
+// The legacy callbacks of the players log every event.
+console.info = function () {};
+
+var load = Module._load;
+
+Module._load = function (request) {
+	return request === 'jquery-browserify' ? {} : load.apply(this, arguments);
+};
+
+var Diaes = require('../diaes.js');
+
+Module._load = load;
+
+// Waiting longer than the debounce of seeks.
+var TIMEOUT = 2000;
+
+/**
+ * Returns a stand-in audio node.
+ */
+function createNode() {
+	return {
+		gain: {value: 1.0},
+		connect: function () {},
+		disconnect: function () {}
+	};
+}
+
+/**
+ * Returns a stand-in manager, with just what players need.
+ */
+function createManager() {
+	return {
+		context: {currentTime: 0, createGain: createNode},
+		gain: createNode(),
+		cache: {
+			use: function () { return false; },
+			add: function () {},
+			discard: function () {},
+			remove: function () {}
+		},
+		updateChannels: function () {},
+		resume: function () {
+			return Promise.resolve();
+		}
+	};
+}
+
+/**
+ * Creates a player whose file has fragments of the given
+ * durations, and whose fragments load right away.
+ */
+function createPlayer(durations, manager) {
+	var player = new Diaes.Player('/file.json', manager || createManager(), {preload: false}, 0);
+	var reader = player.reader;
+
+	reader.fragments = durations.map(function (duration) {
+		return {duration: duration};
+	});
+	reader.computeOffsets();
+
+	reader.load = function () {};
+	reader.loadFragment = function (number, callback) {
+		callback();
+	};
+	reader.scheduled = [];
+	reader.scheduleFragment = function (number, offset) {
+		reader.scheduled.push({number: number, offset: offset});
+	};
+	reader.loadAndScheduleAfter = function () {};
+
+	return player;
+}
+
+/**
+ * Rejects if a Promise does not settle in time.
+ */
+function settles(promise) {
+	return Promise.race([promise, new Promise(function (resolve, reject) {
+		setTimeout(function () {
+			reject(new Error('The Promise did not settle in time.'));
+		}, TIMEOUT);
+	})]);
+}
+
+module.exports = {
+	Diaes: Diaes,
+	createManager: createManager,
+	createPlayer: createPlayer,
+	settles: settles
+};
@@ -0,0 +1,176 @@
+/**
+ * Test vectors for the decryption backends of diaes.js.
+ *
+ * The AES-256 vectors come from NIST SP 800-38A (F.2.6 CBC and
+ * F.5.6 CTR) and from the GCM specification (test case 15). As the
+ * backends expect PKCS#7 padding with AES-CBC, the CBC ciphertext
+ * is followed by the block which encrypts a full padding block.
+ *
+ * The GCM vector is also checked with a flipped byte of its tag, then
+ * of its ciphertext, which the backends must reject by passing null
+ * rather than by throwing.
+ *
+ * Each backend is checked on its own, so that a broken native
+ * implementation is not hidden by the fallback of `Backend.decrypt`.
+ *
+ * The AES key wrap of the session keys is checked against RFC 3394
+ * (4.6, 256 bits of key data with a 256 bit KEK).
+ */
+
+
+'use strict';
+
+var Backend = require('./backend.js');
+var Crypto = require('./crypto.js');
+
+var NIST_KEY = '603deb1015ca71be2b73aef0857d77811f352c073b6108d72d9810a30914dff4';
+
+var NIST_PLAINTEXT =
+	'6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e51' +
+	'30c81c46a35ce411e5fbc1191a0a52eff69f2445df4f9b17ad2b417be66c3710';
+
+var GCM_KEY = 'feffe9928665731c6d6a8f9467308308feffe9928665731c6d6a8f9467308308';
+var GCM_IV = 'cafebabefacedbaddecaf888';
+var GCM_TAG = 'b094dac5d93471bdec1a502270e3cc6c';
+
+var GCM_CIPHERTEXT =
+	'522dc1f099567d07f47f37a32a84427d643a8cdcbfe5c0c97598a2bd2555d1aa' +
+	'8cb08e48590dbb3da7b08b1056828838c5f61e6393ba7a0abcc9f662898015ad';
+
+/**
+ * Flips the lowest bit of the byte at a given index of a hex string.
+ */
+function flip(hex, index) {
+	var byte = parseInt(hex.substr(index * 2, 2), 16) ^ 1;
+
+	return hex.substr(0, index * 2) + (byte < 16 ? '0' : '') + byte.toString(16) + hex.substr(index * 2 + 2);
+}
+
+// Vectors with a null plaintext must fail verification.
+var VECTORS = [
+	{
+		cipher: Backend.CIPHER_CBC,
+		key: NIST_KEY,
+		iv: '000102030405060708090a0b0c0d0e0f',
+		tag: '',
+		ciphertext:
+			'f58c4c04d6e5f1ba779eabfb5f7bfbd69cfc4e967edb808d679f777bc6702c7d' +
+			'39f23369a9d9bacfa530e26304231461b2eb05e2c39be9fcda6c19078c6a9d1b' +
+			'3f461796d6b0d6b2e0c2a72b4d80e644',
+		plaintext: NIST_PLAINTEXT
+	},
+	{
+		cipher: Backend.CIPHER_CTR,
+		key: NIST_KEY,
+		iv: 'f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff',
+		tag: '',
+		ciphertext:
+			'601ec313775789a5b7a7f504bbf3d228f443e3ca4d62b59aca84e990cacaf5c5' +
+			'2b0930daa23de94ce87017ba2d84988ddfc9c58db67aada613c2dd08457941a6',
+		plaintext: NIST_PLAINTEXT
+	},
+	{
+		cipher: Backend.CIPHER_GCM,
+		key: GCM_KEY,
+		iv: GCM_IV,
+		tag: GCM_TAG,
+		ciphertext: GCM_CIPHERTEXT,
+		plaintext:
+			'd9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a72' +
+			'1c3c0c95956809532fcf0e2449a6b525b16aedf5aa0de657ba637b391aafd255'
+	},
+	{
+		name: 'aes-gcm tampered tag',
+		cipher: Backend.CIPHER_GCM,
+		key: GCM_KEY,
+		iv: GCM_IV,
+		tag: flip(GCM_TAG, 0),
+		ciphertext: GCM_CIPHERTEXT,
+		plaintext: null
+	},
+	{
+		name: 'aes-gcm tampered ciphertext',
+		cipher: Backend.CIPHER_GCM,
+		key: GCM_KEY,
+		iv: GCM_IV,
+		tag: GCM_TAG,
+		ciphertext: flip(GCM_CIPHERTEXT, 17),
+		plaintext: null
+	}
+];
+
+var KEY_WRAP = {
+	kek: '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f',
+	key: '00112233445566778899aabbccddeeff000102030405060708090a0b0c0d0e0f',
+	wrapped: '28c9f404c4b810f4cbccb35cfb87f8263f5786e2d80ed326cbc7f0e71a99f43bfb988b9b7a02dd21'
+};
+
+/**
+ * Decrypts every vector with a given backend, and passes the
+ * results to the callback, as a list of `{name, passed}` where
+ * `name` is the cipher unless the vector has its own name.
+ */
+function check(backend, callback) {
+	var results = [];
+
+	function next(index) {
+		if (index >= VECTORS.length) {
+			return callback(results);
+		}
+
+		var vector = VECTORS[index];
+		var settled = false;
+
+		function done(passed) {
+			if (settled) {
+				return;
+			}
+
+			settled = true;
+			results.push({name: vector.name || vector.cipher, passed: passed});
+			next(index + 1);
+		}
+
+		try {
+			backend.decrypt(vector.cipher, Backend.fromHex(vector.ciphertext), Backend.fromHex(vector.key),
+			                Backend.fromHex(vector.iv), Backend.fromHex(vector.tag), function (output) {
+				done(vector.plaintext === null ? output === null : output !== null && Backend.toHex(output) === vector.plaintext);
+			});
+		} catch (e) {
+			done(false);
+		}
+	}
+
+	next(0);
+}
+
+/**
+ * Wraps and unwraps the key wrap vector, and checks that a wrapped
+ * key with a flipped byte fails the integrity check. Returns the
+ * results, as a list of `{name, passed}`.
+ */
+function checkKeyWrap() {
+	var kek = Backend.fromHex(KEY_WRAP.kek);
+	var unwrapped = Crypto.unwrap_aes_kw(Backend.fromHex(KEY_WRAP.wrapped), kek);
+
+	return [
+		{
+			name: 'aes-kw wrap',
+			passed: Backend.toHex(Crypto.wrap_aes_kw(Backend.fromHex(KEY_WRAP.key), kek)) === KEY_WRAP.wrapped
+		},
+		{
+			name: 'aes-kw unwrap',
+			passed: unwrapped !== null && Backend.toHex(unwrapped) === KEY_WRAP.key
+		},
+		{
+			name: 'aes-kw tampered',
+			passed: Crypto.unwrap_aes_kw(Backend.fromHex(flip(KEY_WRAP.wrapped, 20)), kek) === null
+		}
+	];
+}
+
+module.exports = {
+	VECTORS: VECTORS,
+	check: check,
+	checkKeyWrap: checkKeyWrap
+};
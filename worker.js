@@ -0,0 +1,36 @@
+/**
+ * Web Worker entry point for diaes.js.
+ *
+ * Decrypts fragments off the main thread using the same pure
+ * JavaScript AES implementation as the Reader, and transfers the
+ * plaintext back. Also time-stretches the channels of decoded
+ * fragments, as jobs of type `stretch`. Must be bundled on its
+ * own, e.g.
+ *
+ *   browserify worker.js -o diaes-worker.js
+ *
+ * and served at the path given as `workerPath` to the Manager.
+ */
+
+
+'use strict';
+
+var Backend = require('./backend.js');
+var Stretch = require('./stretch.js');
+
+self.onmessage = function (event) {
+	var job = event.data;
+
+	if (job.type === 'stretch') {
+		var output = Stretch.stretchChannels(job.channels, job.sampleRate, job.rate);
+
+		self.postMessage({id: job.id, output: output}, output.map(function (channel) {
+			return channel.buffer;
+		}));
+		return;
+	}
+
+	Backend.ScriptBackend.decrypt(job.cipher, job.input, job.key, job.iv, job.tag, function (output) {
+		self.postMessage({id: job.id, output: output}, output ? [output] : []);
+	});
+};